@@ -0,0 +1,490 @@
+var WebDFU = require("webdfu");
+var DFU = WebDFU.DFU;
+var DFUse = WebDFU.DFUse;
+var EventEmitter = require("events");
+
+var Logger = require("./Logger");
+var Errors = require("./Errors");
+var Transport = require("./Transport");
+
+const AUTOCONNECT_DELAY = 1000;
+
+// STMicroelectronics, for both the calculator and the STM32 bootloader
+const VENDOR_ID = 0x0483;
+
+// Phases of a transfer, recognized from WebDFU's log messages
+const PHASES = [
+    ["Erasing", "erase"],
+    ["Copying data from browser", "write"],
+    ["Copying data from DFU device", "read"],
+    ["Manifesting", "manifest"]
+];
+
+/**
+ * Base class of Numworks and Recovery, connecting to a calculator in DFU mode
+ * using WebUSB and the WebDFU lib.
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+class Calculator extends EventEmitter {
+    /**
+     * @param   productId   USB product ID of the devices to connect to.
+     * @param   options     {logger, logLevel, usb}:
+     *                      logger, logLevel: where to send the log messages, see Logger.
+     *                      usb: WebUSB-compatible object to find devices with, navigator.usb by
+     *                           default. See Transport.
+     */
+    constructor(productId, options = {}) {
+        super();
+        this.productId = productId;
+        this.logger = new Logger(options);
+        this.usb = options.usb || null;
+        this.device = null;
+        this.transferSize = 2048;
+        this.manifestationTolerant = false;
+        this.autoconnectId = null;
+        // Rejects the pending autoConnect call, once it's stopped
+        this.autoconnectCancel = null;
+        this.signal = null;
+        this.operation = null;
+        this.phase = null;
+        // Whether the reads of the running operation check what it wrote
+        this.verifying = false;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run an operation using the device, so that its transfers are reported
+     * under its name. Operations are queued and ran one at a time, as they all
+     * share the device (and its startAddress). An operation must never run
+     * another one, or it would wait for itself: use the internal methods instead.
+     *
+     * If {signal} gets aborted, the operation stops at the next DFU block and
+     * the device is brought back to idle, so that it can be used again.
+     *
+     * @param   operation   name of the operation.
+     * @param   callback    async function doing the operation.
+     * @param   signal      AbortSignal to cancel the operation (optional).
+     *
+     * @return  the result of {callback}.
+     */
+    async __run(operation, callback, signal) {
+        var previous = this.queue;
+        var release;
+
+        this.queue = new Promise(resolve => {
+            release = resolve;
+        });
+
+        await previous;
+
+        if (this.device === null) {
+            release();
+            throw new Errors.NotConnectedError("No calculator is connected");
+        }
+
+        this.operation = operation;
+        this.phase = null;
+        this.signal = signal || null;
+
+        // onUnexpectedDisconnect forgets the device, but its disconnected flag is needed to report the error
+        const device = this.device;
+
+        try {
+            this.__checkAborted();
+
+            return await callback();
+        } catch (error) {
+            if (this.signal !== null && this.signal.aborted && this.device !== null) {
+                try {
+                    await this.device.abortToIdle();
+                } catch (e) {
+                    // The device has probably been unplugged, nothing more can be done.
+                }
+            }
+
+            // Rejected with the signal's reason, whatever it is
+            if (this.signal !== null && error === this.signal.reason) throw error;
+
+            throw Errors.translateError(error, device);
+        } finally {
+            this.operation = null;
+            this.phase = null;
+            this.signal = null;
+
+            release();
+        }
+    }
+
+    __updatePhase(message) {
+        for (let [prefix, phase] of PHASES) {
+            if (typeof message === "string" && message.startsWith(prefix)) {
+                this.phase = (phase === "read" && this.verifying) ? "verify" : phase;
+                this.__emitProgress(0, undefined);
+                return;
+            }
+        }
+    }
+
+    __emitProgress(done, total) {
+        // WebDFU reports progress between blocks, which makes it a good place to stop
+        this.__checkAborted();
+
+        this.emit("progress", {
+            operation: this.operation,
+            phase: this.phase,
+            done: done,
+            total: total
+        });
+    }
+
+    __checkAborted() {
+        if (this.signal !== null && this.signal.aborted) {
+            throw abortReason(this.signal);
+        }
+    }
+
+    async __getDFUDescriptorProperties(device) {
+        // Attempt to read the DFU functional descriptor
+        // TODO: read the selected configuration's descriptor
+        return device.readConfigurationDescriptor(0).then(
+            data => {
+                let configDesc = DFU.parseConfigurationDescriptor(data);
+                let funcDesc = null;
+                let configValue = device.settings.configuration.configurationValue;
+                if (configDesc.bConfigurationValue === configValue) {
+                    for (let desc of configDesc.descriptors) {
+                        if (desc.bDescriptorType === 0x21 && desc.hasOwnProperty("bcdDFUVersion")) {
+                            funcDesc = desc;
+                            break;
+                        }
+                    }
+                }
+
+                if (funcDesc) {
+                    return {
+                        WillDetach:            ((funcDesc.bmAttributes & 0x08) !== 0),
+                        ManifestationTolerant: ((funcDesc.bmAttributes & 0x04) !== 0),
+                        CanUpload:             ((funcDesc.bmAttributes & 0x02) !== 0),
+                        CanDnload:             ((funcDesc.bmAttributes & 0x01) !== 0),
+                        TransferSize:          funcDesc.wTransferSize,
+                        DetachTimeOut:         funcDesc.wDetachTimeOut,
+                        DFUVersion:            funcDesc.bcdDFUVersion
+                    };
+                } else {
+                    return {};
+                }
+            },
+            error => {
+                throw new Errors.TransferError("Couldn't read the DFU functional descriptor", { cause: error });
+            }
+        );
+    }
+
+    /**
+     * Detect a numworks calculator.
+     * The callbacks are kept for compatibility, the returned promise should be preferred.
+     *
+     * @param   successCallback     Callback in case of success (optional).
+     * @param   errorCallback       Callback in case of error (optional). If given, errors
+     *                              are passed to it instead of rejecting the promise.
+     *
+     * @return  a promise, resolved with the connected device.
+     *
+     * @throw   DeviceNotFoundError     if no calculator was selected.
+     * @throw   PermissionDeniedError   if the calculator can't be accessed.
+     */
+    detect(successCallback, errorCallback) {
+        return callbackify(this.__detect(), successCallback, errorCallback);
+    }
+
+    async __detect() {
+        let selectedDevice;
+
+        try {
+            selectedDevice = await Transport.getUSB(this.usb).requestDevice({ "filters": [{"vendorId": VENDOR_ID, "productId": this.productId}]});
+        } catch (error) {
+            throw Errors.translateError(error);
+        }
+
+        let interfaces = DFU.findDeviceDfuInterfaces(selectedDevice);
+        await this.__fixInterfaceNames(selectedDevice, interfaces);
+        this.device = await this.__connect(new DFU.Device(selectedDevice, interfaces[0]));
+
+        return this.device;
+    }
+
+    /**
+     * Connect to a WebDFU device.
+     *
+     * @param   device      The WebUSB device to connect to.
+     */
+    async __connect(device) {
+        try {
+            await device.open();
+        } catch (error) {
+            throw Errors.translateError(error, device);
+        }
+
+        // Attempt to parse the DFU functional descriptor
+        let desc = {};
+        try {
+            desc = await this.__getDFUDescriptorProperties(device);
+        } catch (error) {
+            throw Errors.translateError(error, device);
+        }
+
+        if (desc && Object.keys(desc).length > 0) {
+            device.properties = desc;
+            this.transferSize = desc.TransferSize;
+            if (desc.CanDnload) {
+                this.manifestationTolerant = desc.ManifestationTolerant;
+            }
+
+            if ((desc.DFUVersion === 0x100 || desc.DFUVersion === 0x011a) && device.settings.alternate.interfaceProtocol === 0x02) {
+                device = new DFUse.Device(device.device_, device.settings);
+                if (device.memoryInfo) {
+                    // We have to add RAM manually, because the device doesn't expose that normally
+                    device.memoryInfo.segments.unshift({
+                        start: 0x20000000,
+                        sectorSize: 1024,
+                        end: 0x20040000,
+                        readable: true,
+                        erasable: false,
+                        writable: true
+                    });
+                }
+            }
+        }
+
+        // Bind logging methods
+        device.logDebug = this.logger.debug.bind(this.logger);
+        device.logInfo = message => {
+            this.__updatePhase(message);
+            this.logger.info(message);
+        };
+        device.logWarning = this.logger.warn.bind(this.logger);
+        device.logError = this.logger.error.bind(this.logger);
+        device.logProgress = this.__emitProgress.bind(this);
+
+        return device;
+    }
+
+    async __autoConnectDevice(device) {
+        let interfaces = DFU.findDeviceDfuInterfaces(device.device_);
+        await this.__fixInterfaceNames(device.device_, interfaces);
+        device = await this.__connect(new DFU.Device(device.device_, interfaces[0]));
+        return device;
+    }
+
+    /**
+     * Autoconnect a numworks calculator, polling for it until it's found.
+     * If stopAutoConnect or autoConnect is called before a calculator is found, the
+     * promise is rejected with an AbortError (ignored when a callback is given).
+     *
+     * @param   callback    Callback called once connected (optional, kept for compatibility).
+     *                      The options can be passed instead.
+     * @param   serial      Serial number. If ommited, any will work.
+     * @param   options     {serial, signal}: serial number, and AbortSignal stopping the polling
+     *                      (the promise is then rejected).
+     *
+     * @return  a promise, resolved with the connected device, rejected if the connection fails.
+     */
+    autoConnect(callback, serial, options = {}) {
+        if (typeof callback === "object" && callback !== null) {
+            options = callback;
+            callback = undefined;
+            serial = options.serial;
+        }
+        var vid = VENDOR_ID, pid = this.productId;
+
+        this.stopAutoConnect();
+
+        var signal = options.signal;
+        var stopped = null;
+
+        var promise = new Promise((resolve, reject) => {
+            // Timeout of the pending run of this call's loop
+            var id = null;
+
+            // Stop the loop, unless another call has replaced it since
+            var release = () => {
+                if (this.autoconnectId !== id) return;
+
+                this.autoconnectCancel = null;
+                this.stopAutoConnect();
+            };
+
+            var onAbort = () => {
+                release();
+
+                reject(abortReason(signal));
+            };
+
+            var settle = (callback, value) => {
+                if (signal) signal.removeEventListener("abort", onAbort);
+
+                callback(value);
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(abortReason(signal));
+                    return;
+                }
+
+                signal.addEventListener("abort", onAbort, { once: true });
+            }
+
+            this.autoconnectCancel = () => {
+                stopped = new DOMException("The automatic connection was stopped.", "AbortError");
+
+                settle(reject, stopped);
+            };
+
+            var poll = async () => {
+                try {
+                    let dfu_devices = await Transport.findAllDfuInterfaces(Transport.getUSB(this.usb));
+
+                    // The loop has been stopped meanwhile
+                    if (this.autoconnectId !== id) return;
+
+                    let matching_devices = this.__findMatchingDevices(vid, pid, serial, dfu_devices);
+
+                    if (matching_devices.length !== 0) {
+                        release();
+
+                        this.device = await this.__autoConnectDevice(matching_devices[0]);
+
+                        settle(resolve, this.device);
+                        return;
+                    }
+                } catch (error) {
+                    release();
+
+                    settle(reject, Errors.translateError(error));
+                    return;
+                }
+
+                this.autoconnectId = id = setTimeout(poll, AUTOCONNECT_DELAY);
+            };
+
+            this.autoconnectId = id = setTimeout(poll, 0);
+        });
+
+        if (callback) {
+            // This form used to return nothing, so being stopped mustn't end in an unhandled rejection
+            return callbackify(promise, callback, error => {
+                if (error !== stopped) throw error;
+            });
+        }
+
+        return promise;
+    }
+
+    /**
+     * Stop autoconnection. The pending autoConnect call is rejected with an AbortError.
+     */
+    stopAutoConnect() {
+        if (this.autoconnectId === null) return;
+
+        clearTimeout(this.autoconnectId);
+
+        this.autoconnectId = null;
+
+        var cancel = this.autoconnectCancel;
+        this.autoconnectCancel = null;
+
+        if (cancel !== null) cancel();
+    }
+
+    async __fixInterfaceNames(device_, interfaces) {
+        // Check if any interface names were not read correctly
+        if (interfaces.some(intf => (intf.name === null))) {
+            // Manually retrieve the interface name string descriptors
+            let tempDevice = new DFU.Device(device_, interfaces[0]);
+            await tempDevice.device_.open();
+            let mapping = await tempDevice.readInterfaceNames();
+            await tempDevice.close();
+
+            for (let intf of interfaces) {
+                if (intf.name === null) {
+                    let configIndex = intf.configuration.configurationValue;
+                    let intfNumber = intf["interface"].interfaceNumber;
+                    let alt = intf.alternate.alternateSetting;
+                    intf.name = mapping[configIndex][intfNumber][alt];
+                }
+            }
+        }
+    }
+
+    __findMatchingDevices(vid, pid, serial, dfu_devices) {
+        let matching_devices = [];
+        for (let dfu_device of dfu_devices) {
+            if (serial) {
+                if (dfu_device.device_.serialNumber === serial) {
+                    matching_devices.push(dfu_device);
+                }
+            } else {
+                if (
+                    (!pid && vid > 0 && dfu_device.device_.vendorId  === vid) ||
+                    (!vid && pid > 0 && dfu_device.device_.productId === pid) ||
+                    (vid > 0 && pid > 0 && dfu_device.device_.vendorId  === vid && dfu_device.device_.productId === pid)
+                )
+                {
+                    matching_devices.push(dfu_device);
+                }
+            }
+        }
+
+        return matching_devices;
+    }
+
+    onUnexpectedDisconnect(event, callback) {
+        if (this.device !== null && this.device.device_ !== null) {
+            if (this.device.device_ === event.device) {
+                this.device.disconnected = true;
+                callback(event);
+                this.device = null;
+            }
+        }
+    }
+}
+
+/**
+ * Get the error to throw for an aborted signal.
+ */
+function abortReason(signal) {
+    if (signal.reason !== undefined) return signal.reason;
+
+    return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Bridge a promise to the callback API.
+ *
+ * @param   promise             the promise.
+ * @param   successCallback     called with the result, if given.
+ * @param   errorCallback       called with the error, if given (errors thrown by {successCallback}
+ *                              included). The returned promise is then resolved with undefined
+ *                              instead of being rejected.
+ *
+ * @return  a promise, settled like {promise}.
+ */
+function callbackify(promise, successCallback, errorCallback) {
+    return promise.then(result => {
+        if (successCallback) successCallback(result);
+
+        return result;
+    }).catch(error => {
+        if (!errorCallback) throw error;
+
+        errorCallback(error);
+    });
+}
+
+Calculator.AUTOCONNECT_DELAY = AUTOCONNECT_DELAY;
+Calculator.VENDOR_ID = VENDOR_ID;
+
+module.exports = Calculator;
@@ -0,0 +1,189 @@
+/**
+ * Errors thrown by Numworks, Recovery and Storage.
+ *
+ * NumworksError
+ * ├── DeviceError                  something went wrong with the calculator
+ * │   ├── DeviceNotFoundError      no calculator was selected or found
+ * │   ├── PermissionDeniedError    the browser or the OS refused access to the calculator
+ * │   ├── NotConnectedError        no calculator is connected
+ * │   ├── DisconnectedError        the calculator got disconnected, possibly mid-transfer
+ * │   ├── TransferError            a DFU request failed
+ * │   ├── VerificationError        the data read back after writing differs
+ * │   ├── SlotInUseError           the slot to flash is the one the calculator runs from
+ * │   └── UnsupportedModelError    the calculator can't do what was asked (eg. no external flash)
+ * ├── FormatError                  some data isn't what it should be
+ * │   ├── InvalidPlatformInfoError the platform info couldn't be found or parsed
+ * │   ├── InvalidStorageError      a storage image or archive is invalid
+ * │   ├── InvalidFirmwareError     a firmware file is invalid or corrupted
+ * │   ├── IncompatibleFirmwareError a firmware image is meant for another region or model
+ * │   └── StorageOverflowError     the storage doesn't fit on the calculator
+ * ├── RecordError                  a record can't be added, renamed...
+ * │   ├── InvalidRecordError       its name or type doesn't follow Epsilon's rules
+ * │   ├── DuplicateRecordError     a record with the same name and type exists
+ * │   └── RecordNotFoundError      the record doesn't exist
+ * └── StorageRestoreError          the storage couldn't be put back after an update
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+class NumworksError extends Error {
+    /**
+     * @param   message     description of the error.
+     * @param   options     {cause}: the error which caused this one, if any.
+     */
+    constructor(message, options = {}) {
+        super(message);
+
+        if (options.cause !== undefined) {
+            this.cause = options.cause;
+        }
+    }
+}
+
+class DeviceError extends NumworksError {}
+class DeviceNotFoundError extends DeviceError {}
+class PermissionDeniedError extends DeviceError {}
+class NotConnectedError extends DeviceError {}
+class DisconnectedError extends DeviceError {}
+class TransferError extends DeviceError {}
+
+class VerificationError extends DeviceError {
+    /**
+     * @param   message     description of the error.
+     * @param   address     address of the first byte which differs.
+     * @param   expected    value written there.
+     * @param   actual      value read back, undefined if it couldn't be read.
+     */
+    constructor(message, address, expected, actual) {
+        super(message);
+        this.address = address;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+class SlotInUseError extends DeviceError {
+    /**
+     * @param   message     description of the error.
+     * @param   slot        name of the slot the calculator runs from.
+     */
+    constructor(message, slot) {
+        super(message);
+        this.slot = slot;
+    }
+}
+
+class UnsupportedModelError extends DeviceError {}
+
+class FormatError extends NumworksError {}
+class InvalidPlatformInfoError extends FormatError {}
+class InvalidStorageError extends FormatError {}
+class InvalidFirmwareError extends FormatError {}
+
+class IncompatibleFirmwareError extends FormatError {
+    /**
+     * @param   message     description of the error.
+     * @param   firmware    what the image is, as returned by Firmware.inspect or one of the parsers of Firmware.
+     */
+    constructor(message, firmware) {
+        super(message);
+        this.firmware = firmware;
+    }
+}
+
+class StorageOverflowError extends FormatError {
+    /**
+     * @param   message     description of the error.
+     * @param   size        size of the calculator's storage.
+     * @param   used        size the storage would take.
+     */
+    constructor(message, size, used) {
+        super(message);
+        this.size = size;
+        this.used = used;
+    }
+}
+
+class RecordError extends NumworksError {}
+class InvalidRecordError extends RecordError {}
+class DuplicateRecordError extends RecordError {}
+class RecordNotFoundError extends RecordError {}
+
+class StorageRestoreError extends NumworksError {
+    /**
+     * @param   message     description of the error.
+     * @param   storage     the backup which couldn't be restored, to save it elsewhere.
+     * @param   options     {cause}: the error which caused this one.
+     */
+    constructor(message, storage, options = {}) {
+        super(message, options);
+        this.storage = storage;
+    }
+}
+
+/**
+ * Turn an error thrown by WebUSB or WebDFU into one of ours.
+ * Our errors, aborts and programming errors (TypeError...) are returned as-is.
+ *
+ * @param   error       the error.
+ * @param   device      the WebDFU device in use, if any.
+ *
+ * @return  the translated error.
+ */
+function translateError(error, device) {
+    if (error instanceof NumworksError || error instanceof TypeError || error instanceof RangeError ||
+        error instanceof ReferenceError || (error && error.name === "AbortError")) {
+        return error;
+    }
+
+    // WebDFU sometimes rejects with strings, or wraps errors into messages
+    var name = error && error.name;
+    var message = error && error.message !== undefined ? error.message : String(error);
+
+    if ((device && device.disconnected) || /disconnected/i.test(message)) {
+        return new DisconnectedError("The calculator got disconnected", { cause: error });
+    }
+
+    if (name === "SecurityError" || /access denied/i.test(message)) {
+        return new PermissionDeniedError("Access to the calculator was denied: " + message, { cause: error });
+    }
+
+    if (name === "NotFoundError") {
+        return new DeviceNotFoundError("No calculator found: " + message, { cause: error });
+    }
+
+    return new TransferError(message, { cause: error });
+}
+
+var errors = {
+    NumworksError,
+    DeviceError,
+    DeviceNotFoundError,
+    PermissionDeniedError,
+    NotConnectedError,
+    DisconnectedError,
+    TransferError,
+    VerificationError,
+    SlotInUseError,
+    UnsupportedModelError,
+    FormatError,
+    InvalidPlatformInfoError,
+    InvalidStorageError,
+    InvalidFirmwareError,
+    IncompatibleFirmwareError,
+    StorageOverflowError,
+    RecordError,
+    InvalidRecordError,
+    DuplicateRecordError,
+    RecordNotFoundError,
+    StorageRestoreError
+};
+
+// Class names don't survive minification, so errors are named after their key
+for (let name in errors) {
+    errors[name].prototype.name = name;
+}
+
+module.exports = Object.assign(errors, {
+    translateError
+});
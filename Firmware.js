@@ -0,0 +1,421 @@
+var PlatformInfo = require("./PlatformInfo");
+var Logger = require("./Logger");
+var Errors = require("./Errors");
+
+const RAM_START = 0x20000000;
+const RAM_END = 0x20040000;
+const INTERNAL_START = 0x08000000;
+const INTERNAL_END = 0x08100000;
+const EXTERNAL_START = 0x90000000;
+const EXTERNAL_END = 0x91000000;
+
+// Internal flash of the N0110, images bigger than that are for the N0100
+const N0110_INTERNAL_SIZE = 0x10000;
+// Platform info of internal images, before Epsilon 16
+const LEGACY_PLATFORM_INFO = PlatformInfo.LEGACY_PLATFORM_INFO - INTERNAL_START;
+// Headers of slot images, since Epsilon 16
+const KERNEL_HEADER = PlatformInfo.KERNEL_HEADER_OFFSET;
+const USERLAND_HEADER = PlatformInfo.USERLAND_HEADER_OFFSET;
+// Bytes read for a header, like on the calculator
+const HEADER_SIZE = 0x128;
+
+const MAGIKS = [0xF00DC0DE, 0xFEEDC0DE];
+
+// DfuSe container, see ST's UM0391
+const DFUSE_PREFIX_SIZE = 11;
+const DFUSE_TARGET_PREFIX_SIZE = 274;
+const DFUSE_ELEMENT_HEADER_SIZE = 8;
+const DFUSE_SUFFIX_SIZE = 16;
+
+// Intel HEX record types
+const HEX_DATA = 0x00;
+const HEX_END_OF_FILE = 0x01;
+const HEX_EXTENDED_SEGMENT_ADDRESS = 0x02;
+const HEX_START_SEGMENT_ADDRESS = 0x03;
+const HEX_EXTENDED_LINEAR_ADDRESS = 0x04;
+const HEX_START_LINEAR_ADDRESS = 0x05;
+
+const ELF_PROGRAM_HEADER_SIZE = 32;
+const ELF_PT_LOAD = 1;
+
+/**
+ * Inspection of firmware images, to know what they are before flashing them.
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+class Firmware {
+    /**
+     * Find out what a firmware image is, from its headers.
+     *
+     * Slot images (Epsilon 16 and after) have a kernel header and a userland header.
+     * Internal images start with an ARM vector table, telling where they run from, and
+     * have a platform info before Epsilon 16.
+     *
+     * @param   buffer      ArrayBuffer or Uint8Array, the image.
+     * @param   options     {logger, logLevel}: where to send the warnings about invalid headers.
+     *
+     * @return  an object formatted as follows :
+     *          {
+     *              layout:         "bootloader" (slot of Epsilon 16+), "legacy" (internal image before
+     *                              Epsilon 16), or null if there is no platform info,
+     *              region:         "internal", "external", or null if unknown,
+     *              address:        where the image has to be flashed, null if unknown,
+     *              model:          "0100", "0110", or null if unknown,
+     *              platformInfo:   the platform info, like Numworks.getPlatformInfo returns it
+     *                              (magik is false if there is none)
+     *          }
+     */
+    static inspect(buffer, options = {}) {
+        var logger = new Logger(options);
+        var bytes = new Uint8Array(buffer.buffer || buffer, buffer.byteOffset || 0, buffer.byteLength);
+        var dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        var result = {
+            layout: null,
+            region: null,
+            address: null,
+            model: null,
+            platformInfo: PlatformInfo.normalizePlatformInfo({}, null)
+        };
+
+        if (isMagik(dv, KERNEL_HEADER) && isMagik(dv, KERNEL_HEADER + 0x14) && bytes.length > USERLAND_HEADER) {
+            let kernel = PlatformInfo.parsePlatformInfo(readHeader(bytes, KERNEL_HEADER), true, true, logger);
+            let platformInfo = PlatformInfo.parsePlatformInfo(readHeader(bytes, USERLAND_HEADER), false, true, logger);
+            platformInfo["commit"] = kernel["commit"];
+
+            result.layout = "bootloader";
+            result.region = "external";
+            result.model = "0110";
+            result.platformInfo = PlatformInfo.normalizePlatformInfo(platformInfo, "bootloader");
+
+            return result;
+        }
+
+        if (bytes.length < 8) return result;
+
+        // Vector table: initial stack pointer, then reset handler
+        var stack = dv.getUint32(0x0, true);
+        var reset = dv.getUint32(0x4, true);
+
+        if (stack < RAM_START || stack > RAM_END) return result;
+
+        if (reset >= INTERNAL_START && reset < INTERNAL_END) {
+            result.region = "internal";
+            result.address = INTERNAL_START;
+
+            if (isMagik(dv, LEGACY_PLATFORM_INFO)) {
+                result.layout = "legacy";
+                result.model = bytes.length > N0110_INTERNAL_SIZE ? "0100" : "0110";
+                result.platformInfo = PlatformInfo.normalizePlatformInfo(
+                    PlatformInfo.parsePlatformInfo(readHeader(bytes, LEGACY_PLATFORM_INFO), true, false, logger), "legacy");
+            }
+        } else if (reset >= EXTERNAL_START && reset < EXTERNAL_END) {
+            result.region = "external";
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a DfuSe (.dfu) file. Its CRC is checked before anything else.
+     *
+     * @param   buffer      ArrayBuffer or Uint8Array, the file.
+     *
+     * @return  an object formatted as follows :
+     *          {
+     *              vendorId, productId, device:    from the suffix, 0xFFFF meaning any,
+     *              targets:    [{alternateSetting, name (null if none), elements: [{address, data (Uint8Array)}]}],
+     *              elements:   the elements of every target, in order
+     *          }
+     *
+     * @throw   InvalidFirmwareError    if the file is invalid.
+     */
+    static parseDfuSe(buffer) {
+        var bytes = new Uint8Array(buffer.buffer || buffer, buffer.byteOffset || 0, buffer.byteLength);
+        var dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length < DFUSE_PREFIX_SIZE + DFUSE_SUFFIX_SIZE) {
+            throw new Errors.InvalidFirmwareError("Not a DfuSe file: too short");
+        }
+
+        // Suffix, stored backwards
+        var suffix = bytes.length - DFUSE_SUFFIX_SIZE;
+        if (readString(bytes, suffix + 8, 3) !== "UFD" || bytes[suffix + 11] !== DFUSE_SUFFIX_SIZE) {
+            throw new Errors.InvalidFirmwareError("Not a DfuSe file: invalid suffix");
+        }
+
+        var crc = dv.getUint32(bytes.length - 4, true);
+        if (crc32(bytes.subarray(0, bytes.length - 4)) !== crc) {
+            throw new Errors.InvalidFirmwareError("Invalid CRC, the file is corrupted");
+        }
+
+        if (dv.getUint16(suffix + 6, true) !== 0x011A) {
+            throw new Errors.InvalidFirmwareError("Not a DfuSe file: DFU version 0x" + dv.getUint16(suffix + 6, true).toString(16));
+        }
+
+        if (readString(bytes, 0, 5) !== "DfuSe" || bytes[5] !== 0x01) {
+            throw new Errors.InvalidFirmwareError("Not a DfuSe file: invalid prefix");
+        }
+
+        if (dv.getUint32(6, true) !== suffix) {
+            throw new Errors.InvalidFirmwareError("Invalid DfuSe file: the image size doesn't match the file size");
+        }
+
+        var result = {
+            vendorId: dv.getUint16(suffix + 4, true),
+            productId: dv.getUint16(suffix + 2, true),
+            device: dv.getUint16(suffix, true),
+            targets: [],
+            elements: []
+        };
+
+        var offset = DFUSE_PREFIX_SIZE;
+
+        for (let i = 0; i < bytes[10]; i++) {
+            if (offset + DFUSE_TARGET_PREFIX_SIZE > suffix || readString(bytes, offset, 6) !== "Target") {
+                throw new Errors.InvalidFirmwareError("Invalid DfuSe file: target " + i + " is invalid");
+            }
+
+            let target = {
+                alternateSetting: bytes[offset + 6],
+                name: dv.getUint32(offset + 7, true) !== 0 ? readString(bytes, offset + 11, 255) : null,
+                elements: []
+            };
+            let targetEnd = offset + DFUSE_TARGET_PREFIX_SIZE + dv.getUint32(offset + 266, true);
+            let count = dv.getUint32(offset + 270, true);
+
+            if (targetEnd > suffix) {
+                throw new Errors.InvalidFirmwareError("Invalid DfuSe file: target " + i + " is truncated");
+            }
+
+            offset += DFUSE_TARGET_PREFIX_SIZE;
+
+            for (let j = 0; j < count; j++) {
+                if (offset + DFUSE_ELEMENT_HEADER_SIZE > targetEnd ||
+                    offset + DFUSE_ELEMENT_HEADER_SIZE + dv.getUint32(offset + 4, true) > targetEnd) {
+                    throw new Errors.InvalidFirmwareError("Invalid DfuSe file: element " + j + " of target " + i + " is truncated");
+                }
+
+                let size = dv.getUint32(offset + 4, true);
+                let element = {
+                    address: dv.getUint32(offset, true),
+                    data: bytes.slice(offset + DFUSE_ELEMENT_HEADER_SIZE, offset + DFUSE_ELEMENT_HEADER_SIZE + size)
+                };
+
+                target.elements.push(element);
+                result.elements.push(element);
+                offset += DFUSE_ELEMENT_HEADER_SIZE + size;
+            }
+
+            offset = targetEnd;
+            result.targets.push(target);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse an Intel HEX file. Contiguous records are joined into elements.
+     *
+     * @param   buffer      ArrayBuffer, Uint8Array or string, the file.
+     *
+     * @return  {elements: [{address, data (Uint8Array)}], entry: start address, null if none}.
+     *
+     * @throw   InvalidFirmwareError    if the file is invalid.
+     */
+    static parseIntelHex(buffer) {
+        var text = typeof buffer === "string" ? buffer :
+            new TextDecoder("ascii").decode(new Uint8Array(buffer.buffer || buffer, buffer.byteOffset || 0, buffer.byteLength));
+        var lines = text.split(/\r?\n/);
+
+        var result = {
+            elements: [],
+            entry: null
+        };
+
+        // Data of the element being built
+        var chunks = [];
+        var start = null;
+        var next = null;
+        var base = 0;
+        var ended = false;
+
+        var flush = () => {
+            if (chunks.length === 0) return;
+
+            var data = new Uint8Array(next - start);
+            var offset = 0;
+
+            for (let chunk of chunks) {
+                data.set(chunk, offset);
+                offset += chunk.length;
+            }
+
+            result.elements.push({ address: start, data: data });
+            chunks = [];
+        };
+
+        for (let i = 0; i < lines.length && !ended; i++) {
+            let line = lines[i].trim();
+            if (line === "") continue;
+
+            if (!/^:([0-9A-Fa-f]{2}){5,}$/.test(line)) {
+                throw new Errors.InvalidFirmwareError("Invalid Intel HEX file: line " + (i + 1) + " isn't a record");
+            }
+
+            let bytes = new Uint8Array((line.length - 1) / 2);
+            for (let j = 0; j < bytes.length; j++) {
+                bytes[j] = parseInt(line.substr(1 + j * 2, 2), 16);
+            }
+
+            if (bytes.length !== bytes[0] + 5) {
+                throw new Errors.InvalidFirmwareError("Invalid Intel HEX file: the length of line " + (i + 1) + " is wrong");
+            }
+
+            if (bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF) {
+                throw new Errors.InvalidFirmwareError("Invalid Intel HEX file: wrong checksum on line " + (i + 1));
+            }
+
+            let type = bytes[3];
+            let data = bytes.subarray(4, bytes.length - 1);
+            let dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+            switch (type) {
+            case HEX_DATA: {
+                let address = (base + ((bytes[1] << 8) | bytes[2])) >>> 0;
+
+                if (address !== next) {
+                    flush();
+                    start = address;
+                }
+
+                chunks.push(data);
+                next = address + data.length;
+                break;
+            }
+            case HEX_END_OF_FILE:
+                ended = true;
+                break;
+            case HEX_EXTENDED_SEGMENT_ADDRESS:
+            case HEX_EXTENDED_LINEAR_ADDRESS:
+                if (data.length !== 2) {
+                    throw new Errors.InvalidFirmwareError("Invalid Intel HEX file: bad address record on line " + (i + 1));
+                }
+                base = type === HEX_EXTENDED_LINEAR_ADDRESS ? (dv.getUint16(0, false) << 16) >>> 0 : dv.getUint16(0, false) << 4;
+                break;
+            case HEX_START_SEGMENT_ADDRESS:
+            case HEX_START_LINEAR_ADDRESS:
+                if (data.length !== 4) {
+                    throw new Errors.InvalidFirmwareError("Invalid Intel HEX file: bad start address record on line " + (i + 1));
+                }
+                result.entry = type === HEX_START_LINEAR_ADDRESS ? dv.getUint32(0, false) : (dv.getUint16(0, false) << 4) + dv.getUint16(2, false);
+                break;
+            default:
+                throw new Errors.InvalidFirmwareError("Invalid Intel HEX file: unknown record type " + type + " on line " + (i + 1));
+            }
+        }
+
+        if (!ended) {
+            throw new Errors.InvalidFirmwareError("Invalid Intel HEX file: no end of file record, the file is truncated");
+        }
+
+        flush();
+
+        return result;
+    }
+
+    /**
+     * Parse an ELF file, keeping the loadable segments with data. They are placed at
+     * their physical address (LMA), where they are stored in flash.
+     *
+     * @param   buffer      ArrayBuffer or Uint8Array, the file.
+     *
+     * @return  {elements: [{address, data (Uint8Array)}], entry: entry point}.
+     *
+     * @throw   InvalidFirmwareError    if the file is invalid, or isn't a 32-bit little-endian ELF.
+     */
+    static parseElf(buffer) {
+        var bytes = new Uint8Array(buffer.buffer || buffer, buffer.byteOffset || 0, buffer.byteLength);
+        var dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length < 0x34 || readString(bytes, 0, 4) !== "\x7FELF") {
+            throw new Errors.InvalidFirmwareError("Not an ELF file");
+        }
+
+        if (bytes[4] !== 1 || bytes[5] !== 1) {
+            throw new Errors.InvalidFirmwareError("Only 32-bit little-endian ELF files are supported");
+        }
+
+        var phoff = dv.getUint32(0x1C, true);
+        var phentsize = dv.getUint16(0x2A, true);
+        var phnum = dv.getUint16(0x2C, true);
+
+        if (phentsize < ELF_PROGRAM_HEADER_SIZE || phoff + phnum * phentsize > bytes.length) {
+            throw new Errors.InvalidFirmwareError("Invalid ELF file: the program headers are truncated");
+        }
+
+        var result = {
+            elements: [],
+            entry: dv.getUint32(0x18, true)
+        };
+
+        for (let i = 0; i < phnum; i++) {
+            let header = phoff + i * phentsize;
+            let offset = dv.getUint32(header + 4, true);
+            let size = dv.getUint32(header + 16, true);
+
+            if (dv.getUint32(header, true) !== ELF_PT_LOAD || size === 0) continue;
+
+            if (offset + size > bytes.length) {
+                throw new Errors.InvalidFirmwareError("Invalid ELF file: segment " + i + " is truncated");
+            }
+
+            result.elements.push({
+                address: dv.getUint32(header + 12, true),
+                data: bytes.slice(offset, offset + size)
+            });
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Read a NUL-terminated (or not) ASCII string.
+ */
+function readString(bytes, index, length) {
+    return PlatformInfo.readFString(new DataView(bytes.buffer, bytes.byteOffset), index, length);
+}
+
+/**
+ * CRC-32 as computed by DfuSe (without the final inversion).
+ */
+function crc32(bytes) {
+    var crc = 0xFFFFFFFF;
+
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let j = 0; j < 8; j++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+
+    return crc >>> 0;
+}
+
+function isMagik(dv, index) {
+    return index + 4 <= dv.byteLength && MAGIKS.includes(dv.getUint32(index, false));
+}
+
+/**
+ * Copy a header, padded with zeros if the image ends before it does.
+ */
+function readHeader(bytes, index) {
+    var header = new Uint8Array(HEADER_SIZE);
+    header.set(bytes.subarray(index, index + HEADER_SIZE));
+
+    return header.buffer;
+}
+
+module.exports = Firmware;
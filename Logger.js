@@ -0,0 +1,51 @@
+const LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+/**
+ * Class filtering and forwarding log messages to a console-like object.
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+class Logger {
+    /**
+     * @param   options     {logger, logLevel}:
+     *                      logger: object with debug, info, warn and error methods (console by default).
+     *                              Missing methods are ignored, null silences everything.
+     *                      logLevel: minimum level to forward, one of "debug", "info", "warn", "error"
+     *                                and "silent" ("debug" by default).
+     */
+    constructor(options = {}) {
+        this.output = options.logger === undefined ? console : options.logger;
+        this.level = LEVELS.indexOf(options.logLevel || "debug");
+
+        if (this.level === -1) {
+            throw new Error("Invalid log level: " + options.logLevel);
+        }
+    }
+
+    __log(level, args) {
+        if (this.output === null || LEVELS.indexOf(level) < this.level) return;
+
+        if (typeof this.output[level] === "function") {
+            this.output[level](...args);
+        }
+    }
+
+    debug(...args) {
+        this.__log("debug", args);
+    }
+
+    info(...args) {
+        this.__log("info", args);
+    }
+
+    warn(...args) {
+        this.__log("warn", args);
+    }
+
+    error(...args) {
+        this.__log("error", args);
+    }
+}
+
+module.exports = Logger;
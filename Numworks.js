@@ -3,24 +3,41 @@ var WebDFU = require("webdfu");
 var DFU = WebDFU.DFU;
 var DFUse = WebDFU.DFUse;
 
+var Errors = require("./Errors");
+var Transport = require("./Transport");
+var Calculator = require("./Calculator");
+var PlatformInfo = require("./PlatformInfo");
+var Firmware = require("./Firmware");
+
 var Storage = require("./Storage");
 var Recovery = require("./Recovery");
 
-const AUTOCONNECT_DELAY = 1000;
+// Calculator running Epsilon
+const PRODUCT_ID = 0xa291;
+// Time given to the calculator to restart after an update, before giving up
+const RECONNECT_TIMEOUT = 60000;
 
 /**
  * Class handling communication with a Numworks
  * calculator using WebUSB and the WebDFU lib.
  *
+ * Emits "progress" events during transfers, with an object formatted as follows :
+ * {
+ *     operation:  name of the method doing the transfer (eg. "flashExternal"),
+ *     phase:      "erase", "write", "read", "verify", "manifest" or "reconnect",
+ *     done:       bytes done in this phase,
+ *     total:      bytes to do in this phase, undefined if unknown
+ * }
+ *
  * @author Maxime "M4x1m3" FRIESS
  * @license MIT
  */
-class Numworks {
-    constructor() {
-        this.device = null;
-        this.transferSize = 2048;
-        this.manifestationTolerant = false;
-        this.autoconnectId = null;
+class Numworks extends Calculator {
+    /**
+     * @param   options     {logger, logLevel, usb}: see Calculator.
+     */
+    constructor(options = {}) {
+        super(PRODUCT_ID, options);
     }
 
     /**
@@ -95,419 +112,667 @@ class Numworks {
      * Flash buffer to internal flash.
      *
      * @param   buffer      ArrayBuffer to flash.
+     * @param   options     {signal, verify, checkFirmware, preserveStorage, reconnectTimeout}:
+     *                      signal: AbortSignal to cancel the operation.
+     *                      verify: whether to read the flash back to check it, before the calculator restarts.
+     *                      checkFirmware: whether to refuse images meant for another region or model.
+     *                      preserveStorage, reconnectTimeout: see __preserveStorage.
+     *
+     * @throw   IncompatibleFirmwareError   if {checkFirmware} is set and the image isn't for the internal flash
+     *                                      of this calculator.
+     * @throw   VerificationError           if {verify} is set and the flash differs from {buffer}.
+     * @throw   StorageRestoreError         if the storage couldn't be put back.
      */
-    async flashInternal(buffer) {
-        this.device.startAddress = 0x08000000;
-        await this.device.do_download(this.transferSize, buffer, true);
+    async flashInternal(buffer, options = {}) {
+        await this.__run("flashInternal", async () => {
+            if (options.checkFirmware) this.__checkFirmware(buffer, "internal");
+
+            await this.__preserveStorage(options, async () => {
+                await this.__download(0x08000000, buffer, true, options.verify);
+            });
+        }, options.signal);
     }
 
     /**
      * Flash buffer to external flash.
+     * With {preserveStorage}, the calculator is restarted once done.
      *
      * @param   buffer      ArrayBuffer to flash.
+     * @param   options     {signal, verify, checkFirmware, preserveStorage, reconnectTimeout}:
+     *                      signal: AbortSignal to cancel the operation.
+     *                      verify: whether to read the flash back to check it.
+     *                      checkFirmware: whether to refuse images meant for another region or model.
+     *                      preserveStorage, reconnectTimeout: see __preserveStorage.
+     *
+     * @throw   UnsupportedModelError       if the calculator has no external flash.
+     * @throw   IncompatibleFirmwareError   if {checkFirmware} is set and the image isn't for the external flash
+     *                                      of this calculator.
+     * @throw   VerificationError           if {verify} is set and the flash differs from {buffer}.
+     * @throw   StorageRestoreError         if the storage couldn't be put back.
      */
-    async flashExternal(buffer) {
-        this.device.startAddress = 0x90000000;
-        await this.device.do_download(this.transferSize, buffer, false);
+    async flashExternal(buffer, options = {}) {
+        await this.__run("flashExternal", async () => {
+            let model = this.getModel(false);
+            if (model === "0100" || model === "0110-0M") {
+                throw new Errors.UnsupportedModelError("This calculator (" + model + ") has no external flash");
+            }
+
+            if (options.checkFirmware) this.__checkFirmware(buffer, "external");
+
+            await this.__preserveStorage(options, async () => {
+                await this.__download(0x90000000, buffer, !!options.preserveStorage, options.verify);
+            });
+        }, options.signal);
     }
 
-    async __getDFUDescriptorProperties(device) {
-        // Attempt to read the DFU functional descriptor
-        // TODO: read the selected configuration's descriptor
-        return device.readConfigurationDescriptor(0).then(
-            data => {
-                let configDesc = DFU.parseConfigurationDescriptor(data);
-                let funcDesc = null;
-                let configValue = device.settings.configuration.configurationValue;
-                if (configDesc.bConfigurationValue === configValue) {
-                    for (let desc of configDesc.descriptors) {
-                        if (desc.bDescriptorType === 0x21 && desc.hasOwnProperty("bcdDFUVersion")) {
-                            funcDesc = desc;
-                            break;
-                        }
-                    }
-                }
+    /**
+     * Flash a DfuSe (.dfu) file, each element at its own address.
+     * The file is checked before anything is erased. Elements in the internal flash are
+     * written last, as the calculator then restarts (as with flashInternal).
+     *
+     * @param   buffer      ArrayBuffer, the file.
+     * @param   options     {signal, verify, preserveStorage, reconnectTimeout}: see flashInternal.
+     *
+     * @throw   InvalidFirmwareError        if the file is invalid or corrupted.
+     * @throw   IncompatibleFirmwareError   if the file is for another device, or has elements
+     *                                      outside of the calculator's memory.
+     * @throw   VerificationError           if {verify} is set and the flash differs from the file.
+     * @throw   StorageRestoreError         if the storage couldn't be put back.
+     */
+    async flashDfuFile(buffer, options = {}) {
+        var file = Firmware.parseDfuSe(buffer);
 
-                if (funcDesc) {
-                    return {
-                        WillDetach:            ((funcDesc.bmAttributes & 0x08) !== 0),
-                        ManifestationTolerant: ((funcDesc.bmAttributes & 0x04) !== 0),
-                        CanUpload:             ((funcDesc.bmAttributes & 0x02) !== 0),
-                        CanDnload:             ((funcDesc.bmAttributes & 0x01) !== 0),
-                        TransferSize:          funcDesc.wTransferSize,
-                        DetachTimeOut:         funcDesc.wDetachTimeOut,
-                        DFUVersion:            funcDesc.bcdDFUVersion
-                    };
-                } else {
-                    return {};
-                }
-            },
-            error => {}
-        );
+        await this.__run("flashDfuFile", async () => {
+            this.__checkDfuFile(file);
+
+            await this.__flashElements(file, options);
+        }, options.signal);
+    }
+
+    /**
+     * Flash an Intel HEX file, each block of data at its own address.
+     * Works like flashDfuFile.
+     *
+     * @param   buffer      ArrayBuffer or string, the file.
+     * @param   options     {signal, verify, preserveStorage, reconnectTimeout}: see flashInternal.
+     *
+     * @throw   InvalidFirmwareError        if the file is invalid or corrupted.
+     * @throw   IncompatibleFirmwareError   if the file has data outside of the calculator's memory.
+     * @throw   VerificationError           if {verify} is set and the flash differs from the file.
+     * @throw   StorageRestoreError         if the storage couldn't be put back.
+     */
+    async flashHexFile(buffer, options = {}) {
+        var file = Firmware.parseIntelHex(buffer);
+
+        await this.__run("flashHexFile", () => this.__flashElements(file, options), options.signal);
     }
 
     /**
-     * Detect a numworks calculator.
+     * Flash the loadable segments of an ELF file, each at its physical address.
+     * Works like flashDfuFile.
      *
-     * @param   successCallback     Callback in case of success.
-     * @param   errorCallback       Callback in case of error.
+     * @param   buffer      ArrayBuffer, the file.
+     * @param   options     {signal, verify, preserveStorage, reconnectTimeout}: see flashInternal.
+     *
+     * @throw   InvalidFirmwareError        if the file is invalid, or isn't a 32-bit little-endian ELF.
+     * @throw   IncompatibleFirmwareError   if the file has segments outside of the calculator's memory.
+     * @throw   VerificationError           if {verify} is set and the flash differs from the file.
+     * @throw   StorageRestoreError         if the storage couldn't be put back.
      */
-    async detect(successCallback, errorCallback) {
-        var _this = this;
-        await navigator.usb.requestDevice({ "filters": [{"vendorId": 0x0483, "productId": 0xa291}]}).then(
-            async selectedDevice => {
-                let interfaces = DFU.findDeviceDfuInterfaces(selectedDevice);
-                await _this.__fixInterfaceNames(selectedDevice, interfaces);
-                _this.device = await _this.__connect(new DFU.Device(selectedDevice, interfaces[0]));
-                successCallback();
+    async flashElfFile(buffer, options = {}) {
+        var file = Firmware.parseElf(buffer);
+
+        await this.__run("flashElfFile", () => this.__flashElements(file, options), options.signal);
+    }
+
+    /**
+     * Flash the elements of a firmware file, each at its own address. Elements of the
+     * internal flash are written last, as the calculator then restarts.
+     *
+     * @param   file        the file, with its {elements}.
+     * @param   options     {verify, preserveStorage, reconnectTimeout}: see flashInternal.
+     */
+    async __flashElements(file, options) {
+        let elements = this.__mapElements(file);
+        let internal = elements.filter(element => element.address >= 0x08000000 && element.address < 0x08100000);
+        let others = elements.filter(element => !internal.includes(element));
+        let manifest = internal.length !== 0 || !!options.preserveStorage;
+
+        await this.__preserveStorage(options, async () => {
+            for (let element of others.concat(internal)) {
+                await this.__download(element.address, element.data, false, options.verify);
             }
-        ).catch(error => {
-            errorCallback(error);
+
+            if (manifest) await this.__manifest(internal.length !== 0 ? internal[0].address : others[0].address);
         });
     }
 
     /**
-     * Connect to a WebDFU device.
+     * Map the elements of a firmware file to the memory segments of the calculator.
+     * As writing an element erases the sectors it covers, elements sharing a sector are
+     * merged, the gap between them being filled with 0xFF (erased flash).
+     *
+     * @param   file        the file, with its {elements}.
      *
-     * @param   device      The WebUSB device to connect to.
+     * @return  the elements to write, sorted by address.
+     *
+     * @throw   InvalidFirmwareError        if elements overlap.
+     * @throw   IncompatibleFirmwareError   if an element is outside of the calculator's memory,
+     *                                      or there is nothing to write.
      */
-    async __connect(device) {
-        try {
-            await device.open();
-        } catch (error) {
-            // this.installInstance.calculatorError(true, error);
-            throw error;
-        }
+    __mapElements(file) {
+        let elements = file.elements.filter(element => element.data.length !== 0).sort((a, b) => a.address - b.address);
+        let merged = [];
 
-        // Attempt to parse the DFU functional descriptor
-        let desc = {};
-        try {
-            desc = await this.__getDFUDescriptorProperties(device);
-        } catch (error) {
-            // this.installInstance.calculatorError(true, error);
-            throw error;
-        }
+        for (let element of elements) {
+            let end = element.address + element.data.length;
+
+            // Elements can span several segments, as long as they're contiguous
+            for (let address = element.address; address < end;) {
+                let segment = this.device.getSegment(address);
+
+                if (segment === null || !segment.writable) {
+                    throw new Errors.IncompatibleFirmwareError("The element at 0x" + element.address.toString(16) +
+                        " doesn't fit in the calculator's memory", file);
+                }
 
-        if (desc && Object.keys(desc).length > 0) {
-            device.properties = desc;
-            this.transferSize = desc.TransferSize;
-            if (desc.CanDnload) {
-                this.manifestationTolerant = desc.ManifestationTolerant;
+                address = segment.end;
             }
 
-            if ((desc.DFUVersion === 0x100 || desc.DFUVersion === 0x011a) && device.settings.alternate.interfaceProtocol === 0x02) {
-                device = new DFUse.Device(device.device_, device.settings);
-                if (device.memoryInfo) {
-                    // We have to add RAM manually, because the device doesn't expose that normally
-                    device.memoryInfo.segments.unshift({
-                        start: 0x20000000,
-                        sectorSize: 1024,
-                        end: 0x20040000,
-                        readable: true,
-                        erasable: false,
-                        writable: true
-                    });
+            let previous = merged[merged.length - 1];
+
+            if (previous !== undefined) {
+                let previousEnd = previous.address + previous.data.length;
+
+                if (element.address < previousEnd) {
+                    throw new Errors.InvalidFirmwareError("The elements at 0x" + previous.address.toString(16) +
+                        " and 0x" + element.address.toString(16) + " overlap");
+                }
+
+                let segment = this.device.getSegment(previousEnd - 1);
+                let sectorEnd = segment.start + Math.ceil((previousEnd - segment.start) / segment.sectorSize) * segment.sectorSize;
+
+                if (segment.erasable && element.address < sectorEnd) {
+                    let data = new Uint8Array(end - previous.address).fill(0xFF);
+                    data.set(previous.data, 0);
+                    data.set(element.data, element.address - previous.address);
+
+                    merged[merged.length - 1] = { address: previous.address, data: data };
+                    continue;
                 }
             }
+
+            merged.push({ address: element.address, data: element.data });
         }
 
-        // Bind logging methods
-        device.logDebug = console.log;
-        device.logInfo = console.info;
-        device.logWarning = console.warn;
-        device.logError = console.error;
-        device.logProgress = console.log;
+        if (merged.length === 0) {
+            throw new Errors.IncompatibleFirmwareError("This file has nothing to flash", file);
+        }
 
-        return device;
+        return merged;
     }
 
-    __readFString(dv, index, len) {
-        var out = "";
-        for(var i = 0; i < len; i++) {
-            var chr = dv.getUint8(index + i);
-
-            if (chr === 0) {
-                break;
-            }
+    /**
+     * Check that a DfuSe file is meant for this calculator.
+     * Its elements are checked by __mapElements.
+     *
+     * @param   file        the file, as returned by Firmware.parseDfuSe.
+     *
+     * @throw   IncompatibleFirmwareError   if it can't.
+     */
+    __checkDfuFile(file) {
+        let device_ = this.device.device_;
 
-            out += String.fromCharCode(chr);
+        if ((file.vendorId !== 0xFFFF && file.vendorId !== device_.vendorId) ||
+            (file.productId !== 0xFFFF && file.productId !== device_.productId)) {
+            throw new Errors.IncompatibleFirmwareError("This file is meant for another device (" +
+                file.vendorId.toString(16).padStart(4, "0") + ":" + file.productId.toString(16).padStart(4, "0") + ")", file);
         }
 
-        return out;
+        for (let target of file.targets) {
+            if (target.alternateSetting !== this.device.settings.alternate.alternateSetting) {
+                throw new Errors.IncompatibleFirmwareError("This file has a target for another alternate setting (" + target.alternateSetting + ")", file);
+            }
+        }
     }
 
-    __parsePlatformInfo(array, isKernelHeader, bootloaderMode) {
-        var dv = new DataView(array);
-        var data = {};
+    /**
+     * Check that a firmware image is meant for a region of the flash of this calculator.
+     * Images which can't be recognized are accepted, with a warning.
+     *
+     * @param   buffer      the image.
+     * @param   region      "internal" or "external".
+     *
+     * @throw   IncompatibleFirmwareError   if it's meant for another region or model.
+     */
+    __checkFirmware(buffer, region) {
+        let firmware = Firmware.inspect(buffer, { logger: this.logger });
 
-        const magiks = [0xF00DC0DE, 0xFEEDC0DE];
+        if (firmware.region === null) {
+            this.logger.warn("Couldn't recognize the firmware, flashing it anyway");
+            return;
+        }
 
-        data["magik"] = dv.getUint32(0x00, false);
+        if (firmware.region !== region) {
+            throw new Errors.IncompatibleFirmwareError("This firmware is meant for the " + firmware.region + " flash", firmware);
+        }
 
-        // Iterate over the magiks to find the correct one
-        let magikFound = false;
-        for(var i = 0; i < magiks.length; i++) {
-            if (data["magik"] === magiks[i]) {
-                magikFound = true;
-                break;
-            }
+        let model = this.getModel();
+        if (firmware.model !== null && model !== "????" && firmware.model !== model) {
+            throw new Errors.IncompatibleFirmwareError("This firmware is meant for the N" + firmware.model + ", not the N" + model, firmware);
         }
-        if (!magikFound) {
-            data["magik"] = false;
+    }
+
+    /**
+     * Run an update restarting the calculator, keeping the storage if asked to.
+     *
+     * With {preserveStorage}, the storage is backed up before the update (it can also be a
+     * Storage, backed up earlier). Once the calculator has restarted and is connected again,
+     * the backup is installed. If that fails, the storage the new firmware started with is
+     * put back, and a StorageRestoreError holding the backup is thrown.
+     *
+     * @param   options     {preserveStorage, reconnectTimeout, verify}: true or a Storage to
+     *                      restore, milliseconds to wait for the calculator to come back (60s by
+     *                      default), and whether to verify the restored storage.
+     * @param   callback    async function doing the update.
+     *
+     * @throw   StorageRestoreError     if the storage couldn't be put back.
+     */
+    async __preserveStorage(options, callback) {
+        if (!options.preserveStorage) {
+            await callback();
+            return;
         }
 
+        var backup = options.preserveStorage instanceof Storage ? options.preserveStorage : await this.__backupStorage();
+        var serial = this.device.device_.serialNumber;
 
-        if (data["magik"]) {
-            // The old platform doesn't exist anymore, and the bootloader has never supported it
-            data["oldplatform"] = false;
-            if (!bootloaderMode) {
-                data["oldplatform"] = !(dv.getUint32(0x1C, false) === data["magik"]);
-            }
+        await callback();
 
-            data["omega"] = {};
+        try {
+            await this.__reconnect(serial, options.reconnectTimeout || RECONNECT_TIMEOUT);
 
-            if (data["oldplatform"]) {
-                data["omega"]["installed"] = dv.getUint32(0x1C + 8, false) === data["magik"] || dv.getUint32(0x1C + 16, false) === 0xDEADBEEF || dv.getUint32(0x1C + 32, false) === 0xDEADBEEF;
-                if (data["omega"]["installed"]) {
-                    data["omega"]["version"] = this.__readFString(dv, 0x0C, 16);
+            let storage_info = await this.__getStorageInfo();
+            let previous = await this.__retrieveStorage(storage_info["address"], storage_info["size"]);
 
-                    data["omega"]["user"] = "";
+            try {
+                let storage_blob = await backup.encodeStorage(storage_info["size"]);
+                await this.__flashStorage(storage_info["address"], await storage_blob.arrayBuffer(), options.verify);
+            } catch (error) {
+                this.logger.warn("Couldn't restore the storage, rolling back:", error);
 
+                try {
+                    await this.__flashStorage(storage_info["address"], await previous.arrayBuffer(), false);
+                } catch (rollbackError) {
+                    this.logger.error("Couldn't roll back the storage:", rollbackError);
                 }
 
-                data["version"] = this.__readFString(dv, 0x04, 8);
-                var offset = 0;
-                if (dv.getUint32(0x1C + 8, false) === data["magik"]) {
-                    offset = 8;
-                } else if (dv.getUint32(0x1C + 16, false) === data["magik"]) {
-                    offset = 16;
-                } else if (dv.getUint32(0x1C + 32, false) === data["magik"]) {
-                    offset = 32;
-                }
+                throw error;
+            }
+        } catch (error) {
+            // Even when aborted, so that the backup isn't lost
+            throw new Errors.StorageRestoreError("Couldn't restore the storage after the update: " + error.message, backup, { cause: error });
+        }
+    }
 
-                data["commit"] = this.__readFString(dv, 0x0C + offset, 8);
-                data["storage"] = {};
-                data["storage"]["address"] = dv.getUint32(0x14 + offset, true);
-                data["storage"]["size"] = dv.getUint32(0x18 + offset, true);
-            } else {
-                // Omega part
-                let omegaStart = 0x28;
-                data["omega"]["installed"] = dv.getUint32(omegaStart, false) === 0xDEADBEEF && dv.getUint32(omegaStart + 0x24, false) === 0xDEADBEEF;
-                if (!data["omega"]["installed"]) {
-                    omegaStart = 0x20;
-                    data["omega"]["installed"] = dv.getUint32(omegaStart, false) === 0xDEADBEEF && dv.getUint32(omegaStart + 0x24, false) === 0xDEADBEEF;
-                }
-                if (data["omega"]["installed"]) {
-                    data["omega"]["version"] = this.__readFString(dv, omegaStart + 0x4, 16);
-                    data["omega"]["user"] = this.__readFString(dv, omegaStart + 0x14, 16);
-                }
-                // Upsilon part
-                let upsilonStart = omegaStart + 0x28;
-                data["upsilon"] = {};
-                data["upsilon"]["installed"] = dv.getUint32(upsilonStart, false) === 0x69737055 && dv.getUint32(upsilonStart + 0x18, false) === 0x69737055;
-                if (data["upsilon"]["installed"]) {
-                    data["upsilon"]["version"] = this.__readFString(dv, upsilonStart + 0x4, 16);
-                    data["upsilon"]["osType"] = dv.getUint32(upsilonStart + 0x14, false);
-                    if (data["upsilon"]["osType"] == 0x78718279) {
-                        data["upsilon"]["official"] = true;
-                    } else {
-                        data["upsilon"]["official"] = false;
-                    }
-                }
-                // Global part
-                data["version"] = this.__readFString(dv, 0x04, 8);
-                data["storage"] = {};
-                // If the version is bigger of equal to 16.0.0, we use the new format
-                if (bootloaderMode) {
-                    // If it's a kernel header, we parse it as a kernel
-                    if (isKernelHeader) {
-                        data["commit"] = this.__readFString(dv, 0x0C, 8);
-                        // End of the kernel header, next is the magic
-                        if (dv.getUint32(0x14, false) !== data["magik"]) {
-                            console.warn("PlatformInfo is not valid, end magic is not present at the end of the Kernel header");
-                        }
-                    } else {
-                        data["storage"]["address"] = dv.getUint32(0x0C, true);
-                        data["storage"]["size"] = dv.getUint32(0x10, true);
-                        data["external"] = {};
-                        data["external"]["flashStart"] = dv.getUint32(0x14, true);
-                        data["external"]["flashEnd"] = dv.getUint32(0x18, true);
-                        data["external"]["flashSize"] = data["external"]["flashEnd"] - data["external"]["flashStart"];
-                        data["external"]["ramStart"] = dv.getUint32(0x1C, true);
-                        data["external"]["ramEnd"] = dv.getUint32(0x20, true);
-                        data["external"]["ramSize"] = data["external"]["ramEnd"] - data["external"]["ramStart"];
-                        // End of the platform info, next is the magic
-                        if (dv.getUint32(0x24, false) !== data["magik"]) {
-                            console.warn("PlatformInfo is not valid, end magic is not present at the end of the Userland info");
-                        }
-                    }
-                } else {
-                    data["commit"] = this.__readFString(dv, 0x0C, 8);
-                    data["storage"]["address"] = dv.getUint32(0x14, true);
-                    data["storage"]["size"] = dv.getUint32(0x18, true);
+    /**
+     * Wait for the calculator to come back after a restart, and connect to it.
+     *
+     * @param   serial      serial number of the calculator.
+     * @param   timeout     milliseconds to wait for it.
+     *
+     * @throw   DeviceNotFoundError     if it didn't come back in time.
+     */
+    async __reconnect(serial, timeout) {
+        var deadline = Date.now() + timeout;
+
+        this.phase = "reconnect";
+        this.__emitProgress(0, undefined);
+
+        try {
+            await this.device.close();
+        } catch (error) {
+            // It's probably gone already.
+        }
+
+        for (;;) {
+            await new Promise(resolve => setTimeout(resolve, Calculator.AUTOCONNECT_DELAY));
+            this.__checkAborted();
+
+            let dfu_devices = await Transport.findAllDfuInterfaces(Transport.getUSB(this.usb));
+            let matching_devices = this.__findMatchingDevices(Calculator.VENDOR_ID, PRODUCT_ID, serial, dfu_devices);
+
+            if (matching_devices.length !== 0) {
+                try {
+                    this.device = await this.__autoConnectDevice(matching_devices[0]);
+                    return;
+                } catch (error) {
+                    // Still restarting, try again.
+                    this.logger.debug("Couldn't reconnect yet:", error);
                 }
             }
-        } else {
-            data["omega"] = false;
+
+            if (Date.now() > deadline) {
+                throw new Errors.DeviceNotFoundError("The calculator didn't come back after restarting");
+            }
         }
-        return data;
     }
 
-    __parseSlotInfo(array) {
-        var dv = new DataView(array);
-        let data = {};
-        data["slot"] = {};
-
-        const magik = 0xBADBEEEF;
-        data["slot"]["magik"] = dv.getUint32(0x00, false) == magik;
-        // Check if the data is valid
-        if (data["slot"]["magik"]) {
-            // Check if the end magic is present
-            if (dv.getUint32(0x0C, false) !== magik) {
-                console.warn("SlotInfo is not valid, end magic is not present at the end of the slot info");
+    /**
+     * Write a buffer to the calculator.
+     *
+     * @param   address     where to write.
+     * @param   buffer      ArrayBuffer to write.
+     * @param   manifest    whether to leave DFU mode once done, restarting the calculator.
+     * @param   verify      whether to read the buffer back, before manifesting.
+     *
+     * @throw   VerificationError       if {verify} is set and the data read back differs.
+     */
+    async __download(address, buffer, manifest, verify) {
+        this.device.startAddress = address;
+        await this.device.do_download(this.transferSize, buffer, manifest && !verify);
+
+        if (verify) {
+            await this.__verify(address, buffer);
+
+            if (manifest) await this.__manifest(address);
+        }
+    }
+
+    /**
+     * Read a buffer back from the calculator, and compare it.
+     *
+     * @param   address     where the buffer was written.
+     * @param   buffer      ArrayBuffer written.
+     *
+     * @throw   VerificationError       at the first byte which differs.
+     */
+    async __verify(address, buffer) {
+        var blob;
+
+        this.verifying = true;
+        try {
+            this.device.startAddress = address;
+            blob = await this.device.do_upload(this.transferSize, buffer.byteLength);
+        } finally {
+            this.verifying = false;
+        }
+
+        var expected = new Uint8Array(buffer);
+        var actual = new Uint8Array(await blob.arrayBuffer());
+
+        for (let i = 0; i < expected.length; i++) {
+            if (i >= actual.length) {
+                throw new Errors.VerificationError("Verification failed at 0x" + (address + i).toString(16) +
+                    ": only " + actual.length + " of " + expected.length + " bytes could be read back", address + i, expected[i], undefined);
             }
-            data["slot"]["kernelHeader"] = dv.getUint32(0x04, true);
-            data["slot"]["userlandHeader"] = dv.getUint32(0x08, true);
-            // Guess the active slot based on the kernel header
-            const slotList = {
-                0x90000000: "A",
-                0x90400000: "B",
-                0x90180000: "Khi",
-            };
-            let slotStart = data["slot"]["kernelHeader"] - 0x8;
-            // Get the slot name from the list
-            data["slot"]["name"] = slotList[slotStart];
-            // Check if the slot is valid
-            if (data["slot"]["name"] == undefined) {
-                console.warn("Slot name is not valid, the kernel header is not in the list");
+
+            if (actual[i] !== expected[i]) {
+                throw new Errors.VerificationError("Verification failed at 0x" + (address + i).toString(16) +
+                    ": wrote 0x" + expected[i].toString(16) + ", read 0x" + actual[i].toString(16), address + i, expected[i], actual[i]);
             }
         }
-        return data;
     }
 
+    /**
+     * Leave DFU mode, the way WebDFU's do_download does after writing.
+     *
+     * @param   address     start of the firmware.
+     */
+    async __manifest(address) {
+        this.device.logInfo("Manifesting new firmware");
+        await this.device.dfuseCommand(DFUse.SET_ADDRESS, address, 4);
+        await this.device.download(new ArrayBuffer(), 2);
+
+        try {
+            await this.device.poll_until(state => (state === DFU.dfuMANIFEST));
+        } catch (error) {
+            this.device.logError(error);
+        }
+    }
 
     /**
      * Get the platforminfo section of the calculator.
      *
-     * @return  an object representing the platforminfo.
+     * It is found, in this order :
+     *  - from the slot info the Upsilon bootloader leaves in RAM,
+     *  - in the internal flash, before Epsilon 16 (old platform included),
+     *  - in the slots of the external flash, for Epsilon's own bootloader (Epsilon 16+),
+     *    which doesn't tell which one is running: the newest valid one is assumed.
+     *
+     * @return  an object representing the platforminfo, with every field present whatever the
+     *          layout (see PlatformInfo.normalizePlatformInfo). {magik} is false if none is found.
      */
     async getPlatformInfo() {
-        let data = {};
-        // We have to parse the slot info to get the active slot
-        // TODO: Legacy mode
+        return await this.__run("getPlatformInfo", () => this.__getPlatformInfo());
+    }
+
+    async __getPlatformInfo() {
+        // The Upsilon bootloader tells which slot is running
         this.device.startAddress = 0x20000000;
         let blob = await this.device.do_upload(this.transferSize, 0x64);
-        let slotInfo = this.__parseSlotInfo(await blob.arrayBuffer());
+        let slotInfo = PlatformInfo.parseSlotInfo(await blob.arrayBuffer(), this.logger);
+
         if (slotInfo["slot"]["magik"]) {
-            this.device.startAddress = slotInfo["slot"]["userlandHeader"];
-            // this.device.startAddress = 0x90010000;
-            blob = await this.device.do_upload(this.transferSize, 0x128);
-            data = this.__parsePlatformInfo(await blob.arrayBuffer(), false, true);
-            data["mode"] = "bootloader";
-            // On Epsilon 16 and after, a part of the platforminfo is in the kernel header
-            this.device.startAddress = slotInfo["slot"]["kernelHeader"];
-            blob = await this.device.do_upload(this.transferSize, 0x64);
-            let data_kernel = this.__parsePlatformInfo(await blob.arrayBuffer(), true, true);
-            // Merge the two objects
-            // We just have to copy the commit to the data object, because it's the only field that is not in the userland header
-            data["commit"] = data_kernel["commit"];
+            let data = await this.__getSlotPlatformInfo(slotInfo["slot"]["kernelHeader"], slotInfo["slot"]["userlandHeader"]);
+            return PlatformInfo.normalizePlatformInfo(data, "bootloader", slotInfo["slot"]);
         }
-        else {
-            // Check if the magic is present, if not, we will parse it as legacy platforminfo
-            if (!data["magik"]) {
-                this.device.startAddress = 0x080001c4;
-                const blob = await this.device.do_upload(this.transferSize, 0x128);
-                data = this.__parsePlatformInfo(await blob.arrayBuffer(), true, false);
-                data["mode"] = "legacy";
-                return data;
-            }
+
+        this.device.startAddress = PlatformInfo.LEGACY_PLATFORM_INFO;
+        blob = await this.device.do_upload(this.transferSize, 0x128);
+        let data = PlatformInfo.parsePlatformInfo(await blob.arrayBuffer(), true, false, this.logger);
+
+        if (data["magik"]) {
+            return PlatformInfo.normalizePlatformInfo(data, "legacy");
+        }
+
+        let slot = await this.__findRunningSlot();
+
+        if (slot !== null) {
+            return PlatformInfo.normalizePlatformInfo(slot.platformInfo, "bootloader", slot);
         }
-        data["slot"] = slotInfo["slot"];
-        return data;
-    }
 
-    async __autoConnectDevice(device) {
-        let interfaces = DFU.findDeviceDfuInterfaces(device.device_);
-        await this.__fixInterfaceNames(device.device_, interfaces);
-        device = await this.__connect(new DFU.Device(device.device_, interfaces[0]));
-        return device;
+        this.logger.warn("No platform info found");
+        return PlatformInfo.normalizePlatformInfo({}, null);
     }
 
     /**
-     * Autoconnect a numworks calculator
+     * Find the slot Epsilon's own bootloader runs, which is assumed to be the valid slot
+     * with the newest version (A if they are equal). Khi only exists with Upsilon's.
      *
-     * @param   serial      Serial number. If ommited, any will work.
+     * @return  {magik: false, kernelHeader, userlandHeader, name, platformInfo}, null if
+     *          there is no external flash or no valid slot.
      */
-    autoConnect(callback, serial) {
-        var _this = this;
-        var vid = 0x0483, pid = 0xa291;
+    async __findRunningSlot() {
+        let found = null;
 
-        DFU.findAllDfuInterfaces().then(async dfu_devices => {
-            let matching_devices = _this.__findMatchingDevices(vid, pid, serial, dfu_devices);
+        for (let name of ["A", "B"]) {
+            let start = PlatformInfo.SLOTS[name].start;
 
-            if (matching_devices.length !== 0) {
-                this.stopAutoConnect();
+            if (!this.device.getSegment(start)) {
+                return null;
+            }
 
-                this.device = await this.__autoConnectDevice(matching_devices[0]);
+            let slot = {
+                magik: false,
+                kernelHeader: start + PlatformInfo.KERNEL_HEADER_OFFSET,
+                userlandHeader: start + PlatformInfo.USERLAND_HEADER_OFFSET,
+                name: name
+            };
+            slot.platformInfo = await this.__getSlotPlatformInfo(slot.kernelHeader, slot.userlandHeader);
 
-                await callback();
+            if (slot.platformInfo["magik"] && (found === null ||
+                PlatformInfo.compareVersions(slot.platformInfo["version"], found.platformInfo["version"]) > 0)) {
+                found = slot;
             }
-        });
+        }
 
-        this.autoconnectId = setTimeout(this.autoConnect.bind(this, callback, serial), AUTOCONNECT_DELAY);
+        return found;
     }
 
     /**
-     * Stop autoconnection.
+     * Read the platform info of a slot, from its kernel and userland headers.
+     *
+     * @param   kernelHeader    address of the kernel header.
+     * @param   userlandHeader  address of the userland header.
+     *
+     * @return  the platform info, as parsed by PlatformInfo.parsePlatformInfo ({magik: false}
+     *          if either header is missing).
      */
-    stopAutoConnect() {
-        if (this.autoconnectId === null) return;
+    async __getSlotPlatformInfo(kernelHeader, userlandHeader) {
+        // On Epsilon 16 and after, a part of the platforminfo is in the kernel header
+        this.device.startAddress = kernelHeader;
+        let blob = await this.device.do_upload(this.transferSize, 0x64);
+        let data_kernel = PlatformInfo.parsePlatformInfo(await blob.arrayBuffer(), true, true, this.logger);
 
-        clearTimeout(this.autoconnectId);
+        // Without it, the userland header can't be trusted (eg. half-erased slot)
+        if (!data_kernel["magik"]) {
+            return { magik: false };
+        }
 
-        this.autoconnectId = null;
+        this.device.startAddress = userlandHeader;
+        blob = await this.device.do_upload(this.transferSize, 0x128);
+        let data = PlatformInfo.parsePlatformInfo(await blob.arrayBuffer(), false, true, this.logger);
+        // Merge the two objects
+        // We just have to copy the commit to the data object, because it's the only field that is not in the userland header
+        data["commit"] = data_kernel["commit"];
+        return data;
     }
 
-    async __fixInterfaceNames(device_, interfaces) {
-        // Check if any interface names were not read correctly
-        if (interfaces.some(intf => (intf.name === null))) {
-            // Manually retrieve the interface name string descriptors
-            let tempDevice = new DFU.Device(device_, interfaces[0]);
-            await tempDevice.device_.open();
-            let mapping = await tempDevice.readInterfaceNames();
-            await tempDevice.close();
-
-            for (let intf of interfaces) {
-                if (intf.name === null) {
-                    let configIndex = intf.configuration.configurationValue;
-                    let intfNumber = intf["interface"].interfaceNumber;
-                    let alt = intf.alternate.alternateSetting;
-                    intf.name = mapping[configIndex][intfNumber][alt];
-                }
+    /**
+     * List the slots of the bootloader, and what they contain.
+     *
+     * @return  an array, with an object formatted as follows for each slot :
+     *          {
+     *              name:           "A", "B" or "Khi",
+     *              start, end:     addresses of the slot (Khi is inside A),
+     *              active:         whether the calculator is running from this slot,
+     *              platformInfo:   what the slot contains, formatted like the result of
+     *                              getPlatformInfo (magik is false if there is nothing)
+     *          }
+     *
+     * @throw   UnsupportedModelError   if the calculator doesn't run the bootloader.
+     */
+    async getSlots() {
+        return await this.__run("getSlots", async () => {
+            let active = await this.__getActiveSlot();
+            let slots = [];
+
+            for (let name in PlatformInfo.SLOTS) {
+                let slot = PlatformInfo.SLOTS[name];
+                let slotInfo = {
+                    magik: false,
+                    kernelHeader: slot.start + PlatformInfo.KERNEL_HEADER_OFFSET,
+                    userlandHeader: slot.start + PlatformInfo.USERLAND_HEADER_OFFSET,
+                    name: name
+                };
+                let platformInfo = await this.__getSlotPlatformInfo(slotInfo.kernelHeader, slotInfo.userlandHeader);
+
+                slots.push({
+                    name: name,
+                    start: slot.start,
+                    end: slot.end,
+                    active: name === active,
+                    platformInfo: PlatformInfo.normalizePlatformInfo(platformInfo, "bootloader", slotInfo)
+                });
             }
-        }
+
+            return slots;
+        });
     }
 
-    __findMatchingDevices(vid, pid, serial, dfu_devices) {
-        let matching_devices = [];
-        for (let dfu_device of dfu_devices) {
-            if (serial) {
-                if (dfu_device.device_.serialNumber === serial) {
-                    matching_devices.push(dfu_device);
+    /**
+     * Flash a firmware into a slot of the bootloader, which must not be the one the
+     * calculator runs from (or overlap it).
+     *
+     * @param   name        "A", "B" or "Khi".
+     * @param   buffer      ArrayBuffer to flash.
+     * @param   options     {signal, verify, checkFirmware, preserveStorage, reconnectTimeout}: see
+     *                      flashExternal. {checkFirmware} refuses images which aren't slots.
+     *
+     * @throw   RangeError                  if the slot doesn't exist.
+     * @throw   UnsupportedModelError       if the calculator doesn't run the bootloader.
+     * @throw   SlotInUseError              if the calculator runs from this slot.
+     * @throw   IncompatibleFirmwareError   if the image doesn't fit in the slot, or isn't a slot
+     *                                      with {checkFirmware}.
+     * @throw   VerificationError           if {verify} is set and the flash differs from {buffer}.
+     * @throw   StorageRestoreError         if the storage couldn't be put back.
+     */
+    async flashSlot(name, buffer, options = {}) {
+        if (!(name in PlatformInfo.SLOTS)) {
+            throw new RangeError("Unknown slot: " + name);
+        }
+
+        var slot = PlatformInfo.SLOTS[name];
+
+        await this.__run("flashSlot", async () => {
+            let active = await this.__getActiveSlot();
+
+            if (active !== null) {
+                let running = PlatformInfo.SLOTS[active];
+
+                if (slot.start < running.end && running.start < slot.end) {
+                    throw new Errors.SlotInUseError("The calculator is running from slot " + active +
+                        (active === name ? "" : ", which slot " + name + " overlaps"), active);
                 }
-            } else {
-                if (
-                    (!pid && vid > 0 && dfu_device.device_.vendorId  === vid) ||
-                    (!vid && pid > 0 && dfu_device.device_.productId === pid) ||
-                    (vid > 0 && pid > 0 && dfu_device.device_.vendorId  === vid && dfu_device.device_.productId === pid)
-                )
-                {
-                    matching_devices.push(dfu_device);
+            }
+
+            if (buffer.byteLength > slot.end - slot.start) {
+                throw new Errors.IncompatibleFirmwareError("This firmware is too big for slot " + name, Firmware.inspect(buffer, { logger: this.logger }));
+            }
+
+            if (options.checkFirmware) {
+                let firmware = Firmware.inspect(buffer, { logger: this.logger });
+
+                if (firmware.layout !== "bootloader") {
+                    throw new Errors.IncompatibleFirmwareError("This firmware isn't meant for a slot", firmware);
                 }
             }
+
+            await this.__preserveStorage(options, async () => {
+                await this.__download(slot.start, buffer, !!options.preserveStorage, options.verify);
+            });
+        }, options.signal);
+    }
+
+    /**
+     * Find out which slot the calculator is running from.
+     *
+     * @return  the name of the slot, null if none (in the bootloader itself).
+     *
+     * @throw   UnsupportedModelError   if the calculator doesn't run the bootloader.
+     */
+    async __getActiveSlot() {
+        this.device.startAddress = 0x20000000;
+        let blob = await this.device.do_upload(this.transferSize, 0x64);
+        let slotInfo = PlatformInfo.parseSlotInfo(await blob.arrayBuffer(), this.logger);
+
+        if (slotInfo["slot"]["magik"]) {
+            return slotInfo["slot"]["name"] || null;
+        }
+
+        if (this.device.device_.productName === "Upsilon Bootloader") {
+            return null;
+        }
+
+        throw new Errors.UnsupportedModelError("This calculator doesn't run the bootloader");
+    }
+
+    /**
+     * Get the location of the storage from the platform info.
+     *
+     * @return  {address, size} of the storage.
+     *
+     * @throw   InvalidPlatformInfoError    if the platform info is invalid.
+     */
+    async __getStorageInfo() {
+        let pinfo = await this.__getPlatformInfo();
+
+        if (!pinfo["magik"] || !pinfo["storage"] || pinfo["storage"]["address"] === undefined) {
+            throw new Errors.InvalidPlatformInfoError("Couldn't find the storage in the platform info");
         }
 
-        return matching_devices;
+        return pinfo["storage"];
     }
 
     /**
@@ -528,59 +793,84 @@ class Numworks {
      *
      * @param   address     Storage address
      * @param   data        Storage data.
+     * @param   verify      Whether to read the storage back to check it.
      */
-    async __flashStorage(address, data) {
-        this.device.startAddress = address;
-        await this.device.do_download(this.transferSize, data, false);
+    async __flashStorage(address, data, verify) {
+        await this.__download(address, data, false, verify);
     }
 
     /**
      * Install new storage in calculator
      *
      * @param   storage     Storage class, representing the storage.
-     * @param   callback    Callback to be called when done.
+     * @param   callback    Callback to be called when done (optional, kept for compatibility).
+     *                      The options can be passed instead.
+     * @param   options     {signal, verify}: AbortSignal to cancel the operation, and whether to read
+     *                      the storage back to check it.
      *
-     * @throw   Error       If storage is too big.
+     * @return  a promise, resolved when done.
+     *
+     * @throw   StorageOverflowError    If storage is too big.
+     * @throw   VerificationError       if {verify} is set and the storage read back differs.
      */
-    async installStorage(storage, callback) {
-        let pinfo = await this.getPlatformInfo();
+    async installStorage(storage, callback, options = {}) {
+        if (typeof callback === "object" && callback !== null) {
+            options = callback;
+            callback = undefined;
+        }
+
+        await this.__run("installStorage", async () => {
+            let storage_info = await this.__getStorageInfo();
 
-        let storage_blob = await storage.encodeStorage(pinfo["storage"]["size"]);
-        await this.__flashStorage(pinfo["storage"]["address"], await storage_blob.arrayBuffer());
+            let storage_blob = await storage.encodeStorage(storage_info["size"]);
+            await this.__flashStorage(storage_info["address"], await storage_blob.arrayBuffer(), options.verify);
+        }, options.signal);
 
-        callback();
+        if (callback) callback();
+    }
+
+    /**
+     * Compute the space a storage would take on the calculator, without touching
+     * the calculator's storage.
+     *
+     * @param   storage     Storage class, representing the storage.
+     *
+     * @return  the usage of the storage, as returned by Storage.getUsage.
+     */
+    async getStorageUsage(storage) {
+        let storage_info = await this.__run("getStorageUsage", () => this.__getStorageInfo());
+
+        return await storage.getUsage(storage_info["size"]);
     }
 
     /**
      * Get and parse storage on the calculator.
      *
+     * @param   options     {signal}: AbortSignal to cancel the operation.
+     *
      * @return  Storage class describing the storage of the calculator.
      */
-    async backupStorage() {
-        let pinfo = await this.getPlatformInfo();
+    async backupStorage(options = {}) {
+        return await this.__run("backupStorage", () => this.__backupStorage(), options.signal);
+    }
 
-        let storage_blob = await this.__retrieveStorage(pinfo["storage"]["address"], pinfo["storage"]["size"]);
+    async __backupStorage() {
+        let storage_info = await this.__getStorageInfo();
+        let storage_blob = await this.__retrieveStorage(storage_info["address"], storage_info["size"]);
 
-        let storage = new Numworks.Storage();
+        let storage = new Numworks.Storage({ logger: this.logger });
 
         await storage.parseStorage(storage_blob);
 
         return storage;
     }
 
-    onUnexpectedDisconnect(event, callback) {
-        if (this.device !== null && this.device.device_ !== null) {
-            if (this.device.device_ === event.device) {
-                this.device.disconnected = true;
-                callback(event);
-                this.device = null;
-            }
-        }
-    }
 }
 
 Numworks.Recovery = Recovery;
 Numworks.Storage = Storage;
+Numworks.Firmware = Firmware;
+Numworks.Errors = Errors;
 
 module.exports = Numworks;
 
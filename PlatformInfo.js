@@ -0,0 +1,273 @@
+/**
+ * Parsers for the headers Epsilon and its forks put in their firmware,
+ * shared by Numworks (reading them from the calculator) and Firmware
+ * (reading them from an image).
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+
+// Slots of the bootloader, Khi's being inside A's
+const SLOTS = {
+    A: { start: 0x90000000, end: 0x90400000 },
+    B: { start: 0x90400000, end: 0x90800000 },
+    Khi: { start: 0x90180000, end: 0x90400000 }
+};
+
+// Headers of a slot, from its start
+const KERNEL_HEADER_OFFSET = 0x8;
+const USERLAND_HEADER_OFFSET = 0x10000;
+
+// Platform info of the internal flash, before Epsilon 16
+const LEGACY_PLATFORM_INFO = 0x080001C4;
+
+/**
+ * Read a NUL-terminated string from a fixed-size field.
+ *
+ * @param   dv          DataView to read from.
+ * @param   index       start of the field.
+ * @param   len         size of the field.
+ *
+ * @return  the string.
+ */
+function readFString(dv, index, len) {
+    var out = "";
+    for(var i = 0; i < len; i++) {
+        var chr = dv.getUint8(index + i);
+
+        if (chr === 0) {
+            break;
+        }
+
+        out += String.fromCharCode(chr);
+    }
+
+    return out;
+}
+
+/**
+ * Parse a platform info (legacy), kernel header or userland header.
+ *
+ * @param   array           ArrayBuffer starting with the header.
+ * @param   isKernelHeader  whether it's a kernel header (or a legacy platform info).
+ * @param   bootloaderMode  whether it comes from a calculator with a bootloader (Epsilon 16+).
+ * @param   logger          Logger to warn about inconsistencies.
+ *
+ * @return  an object representing the platforminfo, with only the fields of this layout
+ *          (see normalizePlatformInfo).
+ */
+function parsePlatformInfo(array, isKernelHeader, bootloaderMode, logger) {
+    var dv = new DataView(array);
+    var data = {};
+
+    const magiks = [0xF00DC0DE, 0xFEEDC0DE];
+
+    data["magik"] = dv.getUint32(0x00, false);
+
+    // Iterate over the magiks to find the correct one
+    let magikFound = false;
+    for(var i = 0; i < magiks.length; i++) {
+        if (data["magik"] === magiks[i]) {
+            magikFound = true;
+            break;
+        }
+    }
+    if (!magikFound) {
+        data["magik"] = false;
+    }
+
+
+    if (data["magik"]) {
+        // The old platform doesn't exist anymore, and the bootloader has never supported it
+        data["oldplatform"] = false;
+        if (!bootloaderMode) {
+            data["oldplatform"] = !(dv.getUint32(0x1C, false) === data["magik"]);
+        }
+
+        data["omega"] = {};
+
+        if (data["oldplatform"]) {
+            data["omega"]["installed"] = dv.getUint32(0x1C + 8, false) === data["magik"] || dv.getUint32(0x1C + 16, false) === 0xDEADBEEF || dv.getUint32(0x1C + 32, false) === 0xDEADBEEF;
+            if (data["omega"]["installed"]) {
+                data["omega"]["version"] = readFString(dv, 0x0C, 16);
+
+                data["omega"]["user"] = "";
+
+            }
+
+            data["version"] = readFString(dv, 0x04, 8);
+            var offset = 0;
+            if (dv.getUint32(0x1C + 8, false) === data["magik"]) {
+                offset = 8;
+            } else if (dv.getUint32(0x1C + 16, false) === data["magik"]) {
+                offset = 16;
+            } else if (dv.getUint32(0x1C + 32, false) === data["magik"]) {
+                offset = 32;
+            }
+
+            data["commit"] = readFString(dv, 0x0C + offset, 8);
+            data["storage"] = {};
+            data["storage"]["address"] = dv.getUint32(0x14 + offset, true);
+            data["storage"]["size"] = dv.getUint32(0x18 + offset, true);
+        } else {
+            // Omega part
+            let omegaStart = 0x28;
+            data["omega"]["installed"] = dv.getUint32(omegaStart, false) === 0xDEADBEEF && dv.getUint32(omegaStart + 0x24, false) === 0xDEADBEEF;
+            if (!data["omega"]["installed"]) {
+                omegaStart = 0x20;
+                data["omega"]["installed"] = dv.getUint32(omegaStart, false) === 0xDEADBEEF && dv.getUint32(omegaStart + 0x24, false) === 0xDEADBEEF;
+            }
+            if (data["omega"]["installed"]) {
+                data["omega"]["version"] = readFString(dv, omegaStart + 0x4, 16);
+                data["omega"]["user"] = readFString(dv, omegaStart + 0x14, 16);
+            }
+            // Upsilon part
+            let upsilonStart = omegaStart + 0x28;
+            data["upsilon"] = {};
+            data["upsilon"]["installed"] = dv.getUint32(upsilonStart, false) === 0x69737055 && dv.getUint32(upsilonStart + 0x18, false) === 0x69737055;
+            if (data["upsilon"]["installed"]) {
+                data["upsilon"]["version"] = readFString(dv, upsilonStart + 0x4, 16);
+                data["upsilon"]["osType"] = dv.getUint32(upsilonStart + 0x14, false);
+                if (data["upsilon"]["osType"] == 0x78718279) {
+                    data["upsilon"]["official"] = true;
+                } else {
+                    data["upsilon"]["official"] = false;
+                }
+            }
+            // Global part
+            data["version"] = readFString(dv, 0x04, 8);
+            data["storage"] = {};
+            // If the version is bigger of equal to 16.0.0, we use the new format
+            if (bootloaderMode) {
+                // If it's a kernel header, we parse it as a kernel
+                if (isKernelHeader) {
+                    data["commit"] = readFString(dv, 0x0C, 8);
+                    // End of the kernel header, next is the magic
+                    if (dv.getUint32(0x14, false) !== data["magik"]) {
+                        logger.warn("PlatformInfo is not valid, end magic is not present at the end of the Kernel header");
+                    }
+                } else {
+                    data["storage"]["address"] = dv.getUint32(0x0C, true);
+                    data["storage"]["size"] = dv.getUint32(0x10, true);
+                    data["external"] = {};
+                    data["external"]["flashStart"] = dv.getUint32(0x14, true);
+                    data["external"]["flashEnd"] = dv.getUint32(0x18, true);
+                    data["external"]["flashSize"] = data["external"]["flashEnd"] - data["external"]["flashStart"];
+                    data["external"]["ramStart"] = dv.getUint32(0x1C, true);
+                    data["external"]["ramEnd"] = dv.getUint32(0x20, true);
+                    data["external"]["ramSize"] = data["external"]["ramEnd"] - data["external"]["ramStart"];
+                    // End of the platform info, next is the magic
+                    if (dv.getUint32(0x24, false) !== data["magik"]) {
+                        logger.warn("PlatformInfo is not valid, end magic is not present at the end of the Userland info");
+                    }
+                }
+            } else {
+                data["commit"] = readFString(dv, 0x0C, 8);
+                data["storage"]["address"] = dv.getUint32(0x14, true);
+                data["storage"]["size"] = dv.getUint32(0x18, true);
+            }
+        }
+    } else {
+        data["omega"] = false;
+    }
+    return data;
+}
+
+/**
+ * Parse the slot info the bootloader leaves in RAM.
+ *
+ * @param   array           ArrayBuffer starting with the slot info.
+ * @param   logger          Logger to warn about inconsistencies.
+ *
+ * @return  {slot: {magik, kernelHeader, userlandHeader, name}}.
+ */
+function parseSlotInfo(array, logger) {
+    var dv = new DataView(array);
+    let data = {};
+    data["slot"] = {};
+
+    const magik = 0xBADBEEEF;
+    data["slot"]["magik"] = dv.getUint32(0x00, false) == magik;
+    // Check if the data is valid
+    if (data["slot"]["magik"]) {
+        // Check if the end magic is present
+        if (dv.getUint32(0x0C, false) !== magik) {
+            logger.warn("SlotInfo is not valid, end magic is not present at the end of the slot info");
+        }
+        data["slot"]["kernelHeader"] = dv.getUint32(0x04, true);
+        data["slot"]["userlandHeader"] = dv.getUint32(0x08, true);
+        // Guess the active slot based on the kernel header
+        let slotStart = data["slot"]["kernelHeader"] - KERNEL_HEADER_OFFSET;
+        // Get the slot name from the list
+        data["slot"]["name"] = Object.keys(SLOTS).find(name => SLOTS[name].start === slotStart);
+        // Check if the slot is valid
+        if (data["slot"]["name"] == undefined) {
+            logger.warn("Slot name is not valid, the kernel header is not in the list");
+        }
+    }
+    return data;
+}
+
+/**
+ * Give a platform info the same structure whatever it was read from: every field is
+ * present, null (or {installed: false}) when it doesn't apply.
+ *
+ * @param   data    platform info, as parsed by parsePlatformInfo ({} if there is none).
+ * @param   mode    "bootloader" or "legacy", where it was read from.
+ * @param   slot    the slot it was read from ({magik, kernelHeader, userlandHeader, name}), if any.
+ *
+ * @return  the platform info, as returned by Numworks.getPlatformInfo.
+ */
+function normalizePlatformInfo(data, mode, slot = null) {
+    var valid = !!data["magik"];
+
+    return {
+        magik: valid ? data["magik"] : false,
+        mode: valid ? mode : null,
+        oldplatform: valid && !!data["oldplatform"],
+        version: valid && data["version"] !== undefined ? data["version"] : null,
+        commit: valid && data["commit"] !== undefined ? data["commit"] : null,
+        storage: valid && data["storage"] && data["storage"]["address"] !== undefined ? data["storage"] : null,
+        external: valid && data["external"] ? data["external"] : null,
+        omega: valid && data["omega"] && data["omega"]["installed"] ? data["omega"] : { installed: false },
+        upsilon: valid && data["upsilon"] && data["upsilon"]["installed"] ? data["upsilon"] : { installed: false },
+        slot: {
+            magik: slot !== null && !!slot["magik"],
+            kernelHeader: slot !== null && slot["kernelHeader"] !== undefined ? slot["kernelHeader"] : null,
+            userlandHeader: slot !== null && slot["userlandHeader"] !== undefined ? slot["userlandHeader"] : null,
+            name: slot !== null && slot["name"] !== undefined ? slot["name"] : null
+        }
+    };
+}
+
+/**
+ * Compare two versions, such as "16.3.0".
+ *
+ * @return  a negative number if {a} is older than {b}, a positive one if it's newer, 0 if equal.
+ */
+function compareVersions(a, b) {
+    var partsA = a.split(".").map(part => parseInt(part, 10) || 0);
+    var partsB = b.split(".").map(part => parseInt(part, 10) || 0);
+
+    for (var i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        var difference = (partsA[i] || 0) - (partsB[i] || 0);
+
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+
+    return 0;
+}
+
+module.exports = {
+    SLOTS,
+    KERNEL_HEADER_OFFSET,
+    USERLAND_HEADER_OFFSET,
+    LEGACY_PLATFORM_INFO,
+    readFString,
+    parsePlatformInfo,
+    parseSlotInfo,
+    normalizePlatformInfo,
+    compareVersions
+};
@@ -0,0 +1,702 @@
+const DFU_DETACH = 0x00;
+const DFU_DNLOAD = 0x01;
+const DFU_UPLOAD = 0x02;
+const DFU_GETSTATUS = 0x03;
+const DFU_CLRSTATUS = 0x04;
+const DFU_GETSTATE = 0x05;
+const DFU_ABORT = 0x06;
+
+const STATE_IDLE = 2;
+const STATE_DNLOAD_IDLE = 5;
+const STATE_MANIFEST = 7;
+const STATE_UPLOAD_IDLE = 9;
+const STATE_ERROR = 10;
+
+const STATUS_OK = 0x00;
+const STATUS_ERR_WRITE = 0x03;
+const STATUS_ERR_ERASE = 0x04;
+const STATUS_ERR_ADDRESS = 0x08;
+const STATUS_ERR_STALLEDPKT = 0x0F;
+
+const DFUSE_SET_ADDRESS = 0x21;
+const DFUSE_ERASE_SECTOR = 0x41;
+
+const RAM_START = 0x20000000;
+const RAM_END = 0x20040000;
+
+// Memory maps, as advertised in the interface name (DfuSe memory descriptor)
+const MEMORY_MAPS = {
+    "0110": "@Flash/0x08000000/04*016Kg/0x90000000/08*004Kg,01*032Kg,63*064Kg,64*064Kg",
+    "0100": "@Flash/0x08000000/04*016Kg,01*064Kg,07*128Kg"
+};
+
+// The STM32 bootloader advertises 512K on every STM32F73x
+const RECOVERY_MEMORY_MAPS = {
+    "0110": "@Internal Flash  /0x08000000/04*016Kg,01*064Kg,03*128Kg",
+    "0100": "@Internal Flash  /0x08000000/04*016Kg,01*064Kg,07*128Kg"
+};
+
+const SLOTS = {
+    A: 0x90000000,
+    B: 0x90400000,
+    Khi: 0x90180000
+};
+
+// Offset of the userland header from the start of a slot
+const USERLAND_OFFSET = 0x10000;
+// Address of the platform info on calculators without the bootloader
+const LEGACY_PLATFORM_INFO = 0x080001C4;
+const SLOT_INFO = 0x20000000;
+
+const MAGIK_SLOT = 0xBADBEEEF;
+const MAGIK_OMEGA = 0xDEADBEEF;
+const MAGIK_UPSILON = 0x69737055;
+const MAGIK_STORAGE = 0xBADD0BEE;
+
+/**
+ * In-memory NumWorks calculator, speaking DFU/DfuSe over a fake WebUSB API.
+ * Pass its usb property to Numworks or Recovery to use it without hardware:
+ *
+ *     var simulator = new Simulator({ model: "0110", layout: "bootloader", upsilon: { version: "1.0.0" } });
+ *     var calculator = new Numworks({ usb: simulator.usb });
+ *     await calculator.detect();
+ *
+ * Flash behaves like NOR flash: it must be erased (to 0xFF) before being written.
+ * Leaving DFU mode restarts the calculator, which empties the storage like a new
+ * firmware would.
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+class Simulator {
+    /**
+     * @param   options     {
+     *                          model:          "0110" (default) or "0100",
+     *                          recovery:       true to simulate the STM32 bootloader (Recovery mode),
+     *                          memoryMap:      DfuSe memory descriptor to advertise instead of the model's,
+     *                                          to simulate modified calculators (eg. "0100-8M") or
+     *                                          sectors hidden or protected by a bootloader,
+     *                          layout:         platform info to write: "bootloader" (Epsilon 16+, default on
+     *                                          the N0110), "legacy" (Epsilon 11 to 15, default on the N0100),
+     *                                          "oldplatform" (before Epsilon 11) or null for a blank calculator,
+     *                          slot:           running slot in bootloader layout, "A" (default), "B" or "Khi",
+     *                          slotInfo:       false to simulate Epsilon's own bootloader, which doesn't leave
+     *                                          the slot info in RAM like Upsilon's,
+     *                          magik:          platform info magic value (0xF00DC0DE by default),
+     *                          version:        Epsilon version ("16.3.0" by default),
+     *                          commit:         commit ID ("abcdef1" by default),
+     *                          omega:          {version, user} to simulate Omega,
+     *                          upsilon:        {version, osType} to simulate Upsilon (implies Omega),
+     *                          storageAddress: address of the storage (0x20008000 by default),
+     *                          storageSize:    size of the storage (0x8000 by default),
+     *                          storage:        raw storage image to put there, empty by default,
+     *                          productName:    USB product name ("NumWorks Calculator" by default),
+     *                          serialNumber:   USB serial number,
+     *                          transferSize:   DFU transfer size (2048 by default),
+     *                          restartDelay:   milliseconds the calculator stays unplugged when restarting
+     *                                          (100 by default)
+     *                      }
+     */
+    constructor(options = {}) {
+        this.model = options.model || "0110";
+        this.recovery = !!options.recovery;
+        this.transferSize = options.transferSize || 2048;
+        this.restartDelay = options.restartDelay !== undefined ? options.restartDelay : 100;
+        this.storageArea = null;
+
+        var maps = this.recovery ? RECOVERY_MEMORY_MAPS : MEMORY_MAPS;
+        if (!(this.model in maps)) {
+            throw new Error("Unknown model: " + this.model);
+        }
+
+        this.memoryDescriptor = options.memoryMap || maps[this.model];
+        this.regions = parseMemoryDescriptor(this.memoryDescriptor);
+        // RAM isn't advertised, but can be read and written
+        this.regions.push(createRegion(RAM_START, RAM_END, 1024, false));
+
+        this.state = this.recovery ? STATE_ERROR : STATE_IDLE;
+        this.status = STATUS_OK;
+        this.addressPointer = 0;
+
+        this.device = new SimulatedDevice(this, {
+            productId: this.recovery ? 0xDF11 : 0xA291,
+            productName: options.productName || (this.recovery ? "STM32  BOOTLOADER" : "NumWorks Calculator"),
+            serialNumber: options.serialNumber || "SIMULATED0000000000000000",
+            interfaceName: this.memoryDescriptor
+        });
+        this.usb = new SimulatedUSB(this);
+        this.connected = true;
+
+        if (!this.recovery) {
+            var layout = options.layout !== undefined ? options.layout : (this.model === "0110" ? "bootloader" : "legacy");
+            this.__writePlatformInfo(layout, options);
+        }
+    }
+
+    /**
+     * Find the region an address is in.
+     */
+    __getRegion(address) {
+        for (let region of this.regions) {
+            if (region.start <= address && address < region.end) {
+                return region;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Read memory, ignoring access rights.
+     *
+     * @param   address     where to read.
+     * @param   length      number of bytes.
+     *
+     * @return  a Uint8Array.
+     *
+     * @throw   Error       if the range isn't mapped.
+     */
+    read(address, length) {
+        var out = new Uint8Array(length);
+
+        for (let i = 0; i < length; i++) {
+            let region = this.__getRegion(address + i);
+            if (region === null) {
+                throw new Error("Address 0x" + (address + i).toString(16) + " isn't mapped");
+            }
+            out[i] = region.data[address + i - region.start];
+        }
+
+        return out;
+    }
+
+    /**
+     * Write memory, ignoring access rights and erase state.
+     *
+     * @param   address     where to write.
+     * @param   bytes       Uint8Array or ArrayBuffer to write.
+     *
+     * @throw   Error       if the range isn't mapped.
+     */
+    write(address, bytes) {
+        bytes = new Uint8Array(bytes);
+
+        for (let i = 0; i < bytes.length; i++) {
+            let region = this.__getRegion(address + i);
+            if (region === null) {
+                throw new Error("Address 0x" + (address + i).toString(16) + " isn't mapped");
+            }
+            region.data[address + i - region.start] = bytes[i];
+        }
+    }
+
+    /**
+     * Simulate unplugging the calculator: pending and further transfers fail,
+     * and a "disconnect" event is dispatched on the usb object.
+     */
+    unplug() {
+        if (!this.connected) return;
+
+        this.connected = false;
+        this.device.opened = false;
+        this.usb.__dispatch("disconnect", this.device);
+    }
+
+    /**
+     * Simulate plugging the calculator back, and dispatch a "connect" event.
+     */
+    plug() {
+        if (this.connected) return;
+
+        this.connected = true;
+        this.state = this.recovery ? STATE_ERROR : STATE_IDLE;
+        this.status = STATUS_OK;
+        this.usb.__dispatch("connect", this.device);
+    }
+
+    /**
+     * Simulate a restart: the calculator is unplugged, then plugged back after
+     * restartDelay with an empty storage.
+     */
+    restart() {
+        this.unplug();
+
+        setTimeout(() => {
+            if (this.storageArea !== null) {
+                this.__writeStorage(null);
+            }
+
+            this.plug();
+        }, this.restartDelay);
+    }
+
+    __writeStorage(image) {
+        var storage = new Uint8Array(this.storageArea.size + 8);
+        var dv = new DataView(storage.buffer);
+
+        if (image) {
+            storage.set(new Uint8Array(image).subarray(0, this.storageArea.size + 4), 0);
+        }
+
+        // Empty storage, and the magic values around it
+        dv.setUint32(0x00, MAGIK_STORAGE, false);
+        dv.setUint32(this.storageArea.size + 4, MAGIK_STORAGE, false);
+        this.write(this.storageArea.address, storage);
+    }
+
+    __writePlatformInfo(layout, options) {
+        var magik = options.magik || 0xF00DC0DE;
+        var version = options.version || "16.3.0";
+        var commit = options.commit || "abcdef1";
+        var storageAddress = options.storageAddress || 0x20008000;
+        var storageSize = options.storageSize || 0x8000;
+        var omega = options.omega || (options.upsilon ? { version: "2.0.0", user: "" } : null);
+        var upsilon = options.upsilon || null;
+
+        var header;
+
+        if (layout === "bootloader") {
+            if (this.model !== "0110") {
+                throw new Error("The bootloader layout is only available on the N0110");
+            }
+
+            var slot = options.slot || "A";
+            if (!(slot in SLOTS)) {
+                throw new Error("Unknown slot: " + slot);
+            }
+
+            var slotStart = SLOTS[slot];
+
+            if (options.slotInfo !== false) {
+                var slotInfo = new DataView(new ArrayBuffer(0x10));
+                slotInfo.setUint32(0x00, MAGIK_SLOT, false);
+                slotInfo.setUint32(0x04, slotStart + 0x8, true);
+                slotInfo.setUint32(0x08, slotStart + USERLAND_OFFSET, true);
+                slotInfo.setUint32(0x0C, MAGIK_SLOT, false);
+                this.write(SLOT_INFO, slotInfo.buffer);
+            }
+
+            var kernel = new DataView(new ArrayBuffer(0x18));
+            kernel.setUint32(0x00, magik, false);
+            writeString(kernel, 0x04, 8, version);
+            writeString(kernel, 0x0C, 8, commit);
+            kernel.setUint32(0x14, magik, false);
+            this.write(slotStart + 0x8, kernel.buffer);
+
+            header = new DataView(new ArrayBuffer(0x6C));
+            header.setUint32(0x00, magik, false);
+            writeString(header, 0x04, 8, version);
+            header.setUint32(0x0C, storageAddress, true);
+            header.setUint32(0x10, storageSize, true);
+            // No external apps area
+            header.setUint32(0x14, 0xFFFFFFFF, true);
+            header.setUint32(0x18, 0xFFFFFFFF, true);
+            header.setUint32(0x1C, 0xFFFFFFFF, true);
+            header.setUint32(0x20, 0xFFFFFFFF, true);
+            header.setUint32(0x24, magik, false);
+            writeForkHeaders(header, 0x28, omega, upsilon);
+            this.write(slotStart + USERLAND_OFFSET, header.buffer);
+        } else if (layout === "legacy" || layout === "oldplatform") {
+            header = new DataView(new ArrayBuffer(0x68));
+            header.setUint32(0x00, magik, false);
+            writeString(header, 0x04, 8, version);
+            writeString(header, 0x0C, 8, commit);
+            header.setUint32(0x14, storageAddress, true);
+            header.setUint32(0x18, storageSize, true);
+            if (layout === "legacy") {
+                header.setUint32(0x1C, magik, false);
+                writeForkHeaders(header, 0x20, omega, upsilon);
+            }
+            this.write(LEGACY_PLATFORM_INFO, header.buffer);
+        } else if (layout !== null) {
+            throw new Error("Unknown layout: " + layout);
+        }
+
+        if (layout !== null) {
+            this.storageArea = { address: storageAddress, size: storageSize };
+            this.__writeStorage(options.storage);
+        }
+    }
+
+    __fail(status) {
+        this.state = STATE_ERROR;
+        this.status = status;
+    }
+
+    __download(blockNum, data) {
+        if (this.state !== STATE_IDLE && this.state !== STATE_DNLOAD_IDLE) {
+            this.__fail(STATUS_ERR_STALLEDPKT);
+            return false;
+        }
+
+        if (blockNum === 0) {
+            // DfuSe command
+            if (data.length === 0) return true;
+
+            let command = data[0];
+            let address = data.length >= 5 ? new DataView(data.buffer, data.byteOffset).getUint32(1, true) : 0;
+
+            if (command === DFUSE_SET_ADDRESS) {
+                this.addressPointer = address;
+            } else if (command === DFUSE_ERASE_SECTOR) {
+                let region = this.__getRegion(address);
+                if (region === null || !region.erasable) {
+                    this.__fail(region === null ? STATUS_ERR_ADDRESS : STATUS_ERR_ERASE);
+                    return true;
+                }
+                let sectorStart = region.start + Math.floor((address - region.start) / region.sectorSize) * region.sectorSize;
+                region.data.fill(0xFF, sectorStart - region.start, sectorStart - region.start + region.sectorSize);
+            }
+
+            this.state = STATE_DNLOAD_IDLE;
+            return true;
+        }
+
+        if (data.length === 0) {
+            // Leave DFU mode, the firmware is "manifested"
+            this.state = STATE_MANIFEST;
+            return true;
+        }
+
+        var start = this.addressPointer + (blockNum - 2) * this.transferSize;
+
+        for (let i = 0; i < data.length; i++) {
+            let region = this.__getRegion(start + i);
+            if (region === null || !region.writable) {
+                this.__fail(region === null ? STATUS_ERR_ADDRESS : STATUS_ERR_WRITE);
+                return true;
+            }
+
+            let offset = start + i - region.start;
+            // Programming flash can only clear bits
+            region.data[offset] = region.erasable ? (region.data[offset] & data[i]) : data[i];
+        }
+
+        this.state = STATE_DNLOAD_IDLE;
+        return true;
+    }
+
+    __upload(blockNum, length) {
+        if (this.state !== STATE_IDLE && this.state !== STATE_UPLOAD_IDLE) {
+            this.__fail(STATUS_ERR_STALLEDPKT);
+            return null;
+        }
+
+        var start = this.addressPointer + (blockNum - 2) * this.transferSize;
+
+        for (let i = 0; i < length; i++) {
+            let region = this.__getRegion(start + i);
+            if (region === null || !region.readable) {
+                this.__fail(STATUS_ERR_ADDRESS);
+                return null;
+            }
+        }
+
+        this.state = STATE_UPLOAD_IDLE;
+        return this.read(start, length);
+    }
+
+    __controlTransferOut(setup, data) {
+        if (!this.connected) {
+            throw new DOMException("The device was disconnected.", "NotFoundError");
+        }
+
+        data = data ? new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength) : new Uint8Array(0);
+
+        if (setup.requestType === "class") {
+            switch (setup.request) {
+            case DFU_DNLOAD:
+                if (!this.__download(setup.value, data)) return { status: "stall", bytesWritten: 0 };
+                break;
+            case DFU_CLRSTATUS:
+                this.state = STATE_IDLE;
+                this.status = STATUS_OK;
+                break;
+            case DFU_ABORT:
+                if (this.state !== STATE_ERROR) this.state = STATE_IDLE;
+                break;
+            case DFU_DETACH:
+                break;
+            default:
+                return { status: "stall", bytesWritten: 0 };
+            }
+        }
+
+        return { status: "ok", bytesWritten: data.length };
+    }
+
+    __controlTransferIn(setup, length) {
+        if (!this.connected) {
+            throw new DOMException("The device was disconnected.", "NotFoundError");
+        }
+
+        var data;
+
+        if (setup.requestType === "standard" && setup.request === 0x06) {
+            data = this.__getDescriptor(setup.value >> 8, setup.value & 0xFF);
+        } else if (setup.requestType === "class") {
+            switch (setup.request) {
+            case DFU_UPLOAD:
+                data = this.__upload(setup.value, length);
+                break;
+            case DFU_GETSTATUS:
+                data = new Uint8Array([this.status, 0, 0, 0, this.state, 0]);
+                // Manifestation is instantaneous, then the calculator restarts
+                if (this.state === STATE_MANIFEST) {
+                    this.state = STATE_IDLE;
+                    setTimeout(() => this.restart(), 0);
+                }
+                break;
+            case DFU_GETSTATE:
+                data = new Uint8Array([this.state]);
+                break;
+            }
+        }
+
+        if (!data) return { status: "stall" };
+
+        data = data.slice(0, length);
+        return { status: "ok", data: new DataView(data.buffer) };
+    }
+
+    __getDescriptor(type, index) {
+        if (type === 0x02) {
+            // Configuration, interface and DFU functional descriptors
+            var desc = new DataView(new ArrayBuffer(27));
+            desc.setUint8(0, 9);
+            desc.setUint8(1, 0x02);
+            desc.setUint16(2, 27, true);
+            desc.setUint8(4, 1);        // bNumInterfaces
+            desc.setUint8(5, 1);        // bConfigurationValue
+            desc.setUint8(7, 0xC0);     // bmAttributes
+            desc.setUint8(9, 9);
+            desc.setUint8(10, 0x04);
+            desc.setUint8(14, 0xFE);    // bInterfaceClass
+            desc.setUint8(15, 0x01);    // bInterfaceSubClass
+            desc.setUint8(16, 0x02);    // bInterfaceProtocol (DFU mode)
+            desc.setUint8(17, 1);       // iInterface
+            desc.setUint8(18, 9);
+            desc.setUint8(19, 0x21);
+            desc.setUint8(20, 0x0B);    // WillDetach, CanUpload, CanDnload
+            desc.setUint16(21, 1000, true);
+            desc.setUint16(23, this.transferSize, true);
+            desc.setUint16(25, 0x011A, true);
+            return new Uint8Array(desc.buffer);
+        }
+
+        if (type === 0x03) {
+            // String descriptors: supported languages, then the interface name
+            var words = index === 0 ? [0x0409] : Array.from(this.memoryDescriptor, c => c.charCodeAt(0));
+            var string = new DataView(new ArrayBuffer(2 + words.length * 2));
+            string.setUint8(0, string.byteLength);
+            string.setUint8(1, 0x03);
+            words.forEach((word, i) => string.setUint16(2 + i * 2, word, true));
+            return new Uint8Array(string.buffer);
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Fake WebUSB USBDevice, forwarding transfers to the Simulator.
+ */
+class SimulatedDevice {
+    constructor(simulator, options) {
+        this.simulator = simulator;
+        this.vendorId = 0x0483;
+        this.productId = options.productId;
+        this.productName = options.productName;
+        this.manufacturerName = "NumWorks";
+        this.serialNumber = options.serialNumber;
+        this.opened = false;
+        this.configuration = null;
+
+        var alternate = {
+            alternateSetting: 0,
+            interfaceClass: 0xFE,
+            interfaceSubclass: 0x01,
+            interfaceProtocol: 0x02,
+            interfaceName: options.interfaceName,
+            endpoints: []
+        };
+
+        this.configurations = [{
+            configurationValue: 1,
+            configurationName: null,
+            interfaces: [{
+                interfaceNumber: 0,
+                alternate: null,
+                alternates: [alternate],
+                claimed: false
+            }]
+        }];
+    }
+
+    __checkConnected() {
+        if (!this.simulator.connected) {
+            throw new DOMException("The device was disconnected.", "NotFoundError");
+        }
+    }
+
+    async open() {
+        this.__checkConnected();
+        this.opened = true;
+    }
+
+    async close() {
+        this.opened = false;
+    }
+
+    async selectConfiguration(value) {
+        this.__checkConnected();
+        this.configuration = this.configurations.find(conf => conf.configurationValue === value) || null;
+    }
+
+    async claimInterface(number) {
+        this.__checkConnected();
+        this.configuration.interfaces[number].claimed = true;
+    }
+
+    async releaseInterface(number) {
+        this.configuration.interfaces[number].claimed = false;
+    }
+
+    async selectAlternateInterface(number, alternateSetting) {
+        this.__checkConnected();
+        var intf = this.configuration.interfaces[number];
+        intf.alternate = intf.alternates.find(alt => alt.alternateSetting === alternateSetting);
+    }
+
+    async controlTransferIn(setup, length) {
+        return this.simulator.__controlTransferIn(setup, length);
+    }
+
+    async controlTransferOut(setup, data) {
+        return this.simulator.__controlTransferOut(setup, data);
+    }
+
+    async reset() {
+        this.__checkConnected();
+        this.simulator.state = STATE_IDLE;
+        this.simulator.status = STATUS_OK;
+    }
+}
+
+/**
+ * Fake navigator.usb, only knowing the simulated calculator.
+ */
+class SimulatedUSB {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.listeners = {};
+    }
+
+    async getDevices() {
+        return this.simulator.connected ? [this.simulator.device] : [];
+    }
+
+    async requestDevice(options = {}) {
+        var device = this.simulator.device;
+        var filters = options.filters || [];
+        var matches = filters.length === 0 || filters.some(filter =>
+            (filter.vendorId === undefined || filter.vendorId === device.vendorId) &&
+            (filter.productId === undefined || filter.productId === device.productId)
+        );
+
+        if (!this.simulator.connected || !matches) {
+            throw new DOMException("No device selected.", "NotFoundError");
+        }
+
+        return device;
+    }
+
+    addEventListener(type, listener) {
+        if (!(type in this.listeners)) this.listeners[type] = [];
+
+        this.listeners[type].push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (!(type in this.listeners)) return;
+
+        this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+
+    __dispatch(type, device) {
+        var event = { type: type, device: device, stopPropagation() {} };
+
+        for (let listener of (this.listeners[type] || []).slice()) {
+            listener(event);
+        }
+    }
+}
+
+function createRegion(start, end, sectorSize, isFlash) {
+    return {
+        start: start,
+        end: end,
+        sectorSize: sectorSize,
+        readable: true,
+        erasable: isFlash,
+        writable: true,
+        data: new Uint8Array(end - start).fill(isFlash ? 0xFF : 0x00)
+    };
+}
+
+/**
+ * Parse a DfuSe memory descriptor into memory regions.
+ * Same format as WebDFU's DFUse.parseMemoryDescriptor.
+ */
+function parseMemoryDescriptor(descriptor) {
+    const multipliers = { " ": 1, "B": 1, "K": 1024, "M": 1048576 };
+
+    var regions = [];
+    var parts = descriptor.split("/").slice(1);
+
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+        let address = parseInt(parts[i], 16);
+
+        for (let sectors of parts[i + 1].split(",")) {
+            let match = sectors.trim().match(/^([0-9]+)\*([0-9]+)([ BKM])([a-g])$/);
+            let count = parseInt(match[1], 10);
+            let sectorSize = parseInt(match[2], 10) * multipliers[match[3]];
+            let properties = match[4].charCodeAt(0) - "a".charCodeAt(0) + 1;
+
+            let region = createRegion(address, address + count * sectorSize, sectorSize, true);
+            region.readable = (properties & 0x1) !== 0;
+            region.erasable = (properties & 0x2) !== 0;
+            region.writable = (properties & 0x4) !== 0;
+            regions.push(region);
+
+            address += count * sectorSize;
+        }
+    }
+
+    return regions;
+}
+
+function writeString(dv, index, length, string) {
+    for (let i = 0; i < length && i < string.length; i++) {
+        dv.setUint8(index + i, string.charCodeAt(i));
+    }
+}
+
+function writeForkHeaders(dv, omegaStart, omega, upsilon) {
+    if (omega) {
+        dv.setUint32(omegaStart, MAGIK_OMEGA, false);
+        writeString(dv, omegaStart + 0x04, 16, omega.version || "");
+        writeString(dv, omegaStart + 0x14, 16, omega.user || "");
+        dv.setUint32(omegaStart + 0x24, MAGIK_OMEGA, false);
+    }
+
+    if (upsilon) {
+        var upsilonStart = omegaStart + 0x28;
+        dv.setUint32(upsilonStart, MAGIK_UPSILON, false);
+        writeString(dv, upsilonStart + 0x04, 16, upsilon.version || "");
+        dv.setUint32(upsilonStart + 0x14, upsilon.osType !== undefined ? upsilon.osType : 0x78718279, false);
+        dv.setUint32(upsilonStart + 0x18, MAGIK_UPSILON, false);
+    }
+}
+
+module.exports = Simulator;
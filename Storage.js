@@ -1,16 +1,264 @@
+var fflate = require("fflate");
+
+var Logger = require("./Logger");
+var Errors = require("./Errors");
+
+// Name of the file describing the records in an archive
+const MANIFEST_NAME = "manifest.json";
+// Version of the manifest format
+const MANIFEST_VERSION = 1;
+
+// Plot types of ContinuousFunction, indexed by their value in the record
+const FUNC_PLOT_TYPES = ["cartesian", "polar", "parametric"];
+
+// Sequence types, indexed by their value in the record
+const SEQ_TYPES = ["explicit", "singleRecurrence", "doubleRecurrence"];
+
+// Size of Shared::Function::RecordDataBuffer (color + active)
+const FUNCTION_HEADER_SIZE = 3;
+// Size of ContinuousFunction::RecordDataBuffer (function header + plot type + domain + displayDerivative)
+const FUNC_HEADER_SIZE = FUNCTION_HEADER_SIZE + 10;
+// Size of Sequence::SequenceRecordDataBuffer (function header + type + initial rank + initial conditions sizes)
+const SEQ_HEADER_SIZE = FUNCTION_HEADER_SIZE + 6;
+
+// Parser/encoder pairs, indexed by record extension
+const recordTypes = {};
 
 /**
  * Class to parse and reconstruct the numworks' internal storage.
- * Only parses python scripts for now, ditches the rest.
- * @TODO parse other things.
+ * Parses python scripts, grapher functions, sequences, stored expressions,
+ * lists and system records. Other records are kept as raw data and written
+ * back untouched.
  *
  * @author Maxime "M4x1m3" FRIESS
  * @license MIT
  */
 class Storage {
-    constructor() {
+    /**
+     * @param   options     {logger, logLevel}: where to send the log messages, see Logger.
+     */
+    constructor(options = {}) {
+        this.logger = new Logger(options);
         this.magik = null;
-        this.records = null;
+        this.records = [];
+    }
+
+    /**
+     * Register a parser/encoder pair for a record type, replacing the previous one if any
+     * (built-in types included). Both are called with the Storage instance as `this`.
+     *
+     * @param   type        extension of the records to handle, without the dot (eg. "py").
+     * @param   parser      async function(record), gets a record with its raw content in a `data` Blob,
+     *                      and returns it with parsed fields instead. A record returned with `data` still
+     *                      set is kept raw.
+     * @param   encoder     async function(record), reverse of {parser}: returns the record with its
+     *                      `data` Blob built back from the parsed fields.
+     *
+     * @throw   InvalidRecordError  if the type is invalid.
+     * @throw   TypeError           if the handlers aren't functions.
+     */
+    static registerRecordType(type, parser, encoder) {
+        if (typeof type !== "string" || type.length === 0 || type.includes(".")) {
+            throw new Errors.InvalidRecordError("Invalid record type: " + type);
+        }
+
+        if (typeof parser !== "function" || typeof encoder !== "function") {
+            throw new TypeError("Parser and encoder must be functions");
+        }
+
+        recordTypes[type] = {
+            parser: parser,
+            encoder: encoder
+        };
+    }
+
+    /**
+     * Unregister the parser/encoder pair of a record type.
+     * Records of that type will then be kept raw.
+     *
+     * @param   type        extension of the records.
+     */
+    static unregisterRecordType(type) {
+        delete recordTypes[type];
+    }
+
+    /**
+     * Get the record types which have a parser/encoder pair registered.
+     *
+     * @return  an array of extensions.
+     */
+    static getRecordTypes() {
+        return Object.keys(recordTypes);
+    }
+
+    /**
+     * Check that a record can be added to the storage.
+     *
+     * @param   name        name of the record, without the extension.
+     * @param   type        extension of the record, without the dot.
+     *
+     * @throw   InvalidRecordError  if the name or the type doesn't follow Epsilon's rules.
+     */
+    __checkRecordName(name, type) {
+        if (typeof type !== "string" || type.length === 0 || type.includes(".") || type.includes("\0")) {
+            throw new Errors.InvalidRecordError("Invalid record type: " + type);
+        }
+
+        if (typeof name !== "string" || name.length === 0 || name.includes("\0")) {
+            throw new Errors.InvalidRecordError("Invalid record name: " + name);
+        }
+
+        // Same rule as Epsilon's Script::NameCompliant: no upper case, so that names are
+        // usable as python modules and as URLs on the workshop.
+        if (type === "py" && !/^[a-z_][a-z0-9_]*$/.test(name)) {
+            throw new Errors.InvalidRecordError("Invalid script name: " + name + " (only a-z, 0-9 and _ are allowed, and it can't start with a digit)");
+        }
+    }
+
+    __findRecord(name, type) {
+        return this.records.findIndex(record => record.name === name && record.type === type);
+    }
+
+    /**
+     * Get the records of the storage.
+     *
+     * @param   type        only return records with this extension. If ommited, all are returned.
+     *
+     * @return  an array of records.
+     */
+    getRecords(type) {
+        if (type === undefined) return this.records.slice();
+
+        return this.records.filter(record => record.type === type);
+    }
+
+    /**
+     * Get a record.
+     *
+     * @param   name        name of the record, without the extension.
+     * @param   type        extension of the record.
+     *
+     * @return  the record, or null if it doesn't exist.
+     */
+    getRecord(name, type) {
+        var index = this.__findRecord(name, type);
+
+        return index === -1 ? null : this.records[index];
+    }
+
+    /**
+     * Add a record.
+     *
+     * @param   record      the record, with at least a name and a type.
+     *
+     * @return  the record.
+     *
+     * @throw   InvalidRecordError      if the name is invalid.
+     * @throw   DuplicateRecordError    if a record with the same name and type exists.
+     */
+    addRecord(record) {
+        this.__checkRecordName(record.name, record.type);
+
+        if (this.__findRecord(record.name, record.type) !== -1) {
+            throw new Errors.DuplicateRecordError("Record already exists: " + record.name + "." + record.type);
+        }
+
+        this.records.push(record);
+
+        return record;
+    }
+
+    /**
+     * Add a python script.
+     *
+     * @param   name        name of the script, without ".py".
+     * @param   code        code of the script.
+     * @param   autoImport  whether or not the script is imported in the shell automatically.
+     *
+     * @return  the record of the script.
+     *
+     * @throw   InvalidRecordError      if the name is invalid.
+     * @throw   DuplicateRecordError    if the script exists.
+     */
+    addScript(name, code, autoImport = true) {
+        return this.addRecord({
+            name: name,
+            type: "py",
+            autoImport: autoImport,
+            code: code
+        });
+    }
+
+    /**
+     * Replace the record with the same name and type, or add it if there is none.
+     *
+     * @param   record      the new record.
+     *
+     * @return  the record.
+     *
+     * @throw   InvalidRecordError  if the name is invalid.
+     */
+    replaceRecord(record) {
+        this.__checkRecordName(record.name, record.type);
+
+        var index = this.__findRecord(record.name, record.type);
+
+        if (index === -1) {
+            this.records.push(record);
+        } else {
+            this.records[index] = record;
+        }
+
+        return record;
+    }
+
+    /**
+     * Rename a record. Its extension is kept.
+     *
+     * @param   name        current name of the record.
+     * @param   type        extension of the record.
+     * @param   newName     new name of the record.
+     *
+     * @return  the record.
+     *
+     * @throw   RecordNotFoundError     if the record doesn't exist.
+     * @throw   InvalidRecordError      if the new name is invalid.
+     * @throw   DuplicateRecordError    if the new name is already taken.
+     */
+    renameRecord(name, type, newName) {
+        var index = this.__findRecord(name, type);
+
+        if (index === -1) {
+            throw new Errors.RecordNotFoundError("Record doesn't exist: " + name + "." + type);
+        }
+
+        this.__checkRecordName(newName, type);
+
+        if (newName !== name && this.__findRecord(newName, type) !== -1) {
+            throw new Errors.DuplicateRecordError("Record already exists: " + newName + "." + type);
+        }
+
+        this.records[index].name = newName;
+
+        return this.records[index];
+    }
+
+    /**
+     * Delete a record.
+     *
+     * @param   name        name of the record.
+     * @param   type        extension of the record.
+     *
+     * @return  true if the record was deleted, false if it didn't exist.
+     */
+    deleteRecord(name, type) {
+        var index = this.__findRecord(name, type);
+
+        if (index === -1) return false;
+
+        this.records.splice(index, 1);
+
+        return true;
     }
 
     async __encodePyRecord(record) {
@@ -32,44 +280,130 @@ class Storage {
         return record;
     }
 
-    __getRecordEncoders() {
-        return {
-            py: this.__encodePyRecord.bind(this)
-        };
+    __encodeFunctionHeader(record, size) {
+        // Start from the header as it was read, so that what the fields don't cover is kept
+        var header = record.header ? new Uint8Array(record.header) : new Uint8Array(size);
+        var dv = new DataView(header.buffer);
+
+        this.__writeColor(dv, 0x00, record.color);
+        this.__writeBoolean(dv, 0x02, record.active);
+
+        delete record.color;
+        delete record.active;
+        delete record.header;
+
+        return header;
     }
 
-    async __assembleStorage(records, maxSize) {
+    async __encodeFuncRecord(record) {
+        var header = this.__encodeFunctionHeader(record, FUNC_HEADER_SIZE);
+        var dv = new DataView(header.buffer);
+
+        dv.setUint8(0x03, this.__encodeEnum(FUNC_PLOT_TYPES, record.plotType));
+        dv.setFloat32(0x04, record.tMin, true);
+        dv.setFloat32(0x08, record.tMax, true);
+        this.__writeBoolean(dv, 0x0C, record.displayDerivative);
+
+        record.data = new Blob([concatTypedArrays(header, record.expression)]);
+
+        delete record.plotType;
+        delete record.tMin;
+        delete record.tMax;
+        delete record.displayDerivative;
+        delete record.expression;
+
+        return record;
+    }
+
+    async __encodeSeqRecord(record) {
+        var header = this.__encodeFunctionHeader(record, SEQ_HEADER_SIZE);
+        var dv = new DataView(header.buffer);
+
+        dv.setUint8(0x03, this.__encodeEnum(SEQ_TYPES, record.sequenceType));
+        dv.setUint8(0x04, record.initialRank);
+        dv.setUint16(0x05, record.firstInitialCondition.length, true);
+        dv.setUint16(0x07, record.secondInitialCondition.length, true);
+
+        record.data = new Blob([
+            header,
+            record.definition,
+            record.firstInitialCondition,
+            record.secondInitialCondition
+        ]);
+
+        delete record.sequenceType;
+        delete record.initialRank;
+        delete record.definition;
+        delete record.firstInitialCondition;
+        delete record.secondInitialCondition;
+
+        return record;
+    }
+
+    async __encodeExpressionRecord(record) {
+        record.data = new Blob([record.expression]);
+
+        delete record.expression;
+
+        return record;
+    }
+
+    async __encodeSysRecord(record) {
+        record.data = new Blob([record.content]);
+
+        delete record.content;
+
+        return record;
+    }
+
+    /**
+     * Serialize an encoded record the way it's stored on the calculator:
+     * size (including itself), full name, null terminator, data.
+     */
+    async __serializeRecord(record) {
         const encoder = new TextEncoder();
 
-        var data = new Uint8Array([0xBA, 0xDD, 0x0B, 0xEE]); // Magic value 0xBADD0BEE (big endian)
+        var name = record.name + "." + record.type;
 
-        for (var i in records) {
-            var record = records[i];
-            var name = record.name + "." + record.type;
+        var encoded_name = concatTypedArrays(
+            encoder.encode(name),
+            new Uint8Array([0])
+        );
 
-            var encoded_name = concatTypedArrays(
-                encoder.encode(name),
-                new Uint8Array([0])
-            );
+        var encoded_content = concatTypedArrays(
+            encoded_name,
+            new Uint8Array(await record.data.arrayBuffer())
+        );
 
-            var encoded_content = concatTypedArrays(
-                encoded_name,
-                new Uint8Array(await record.data.arrayBuffer())
-            );
+        var length_buffer = new Uint8Array([0xFF, 0xFF]);
 
-            var length_buffer = new Uint8Array([0xFF, 0xFF]);
+        encoded_content = concatTypedArrays(length_buffer, encoded_content);
 
-            encoded_content = concatTypedArrays(length_buffer, encoded_content);
+        var dv = new DataView(encoded_content.buffer);
+        dv.setUint16(0, encoded_content.length, true);
 
-            var dv = new DataView(encoded_content.buffer);
-            dv.setUint16(0, encoded_content.length, true);
+        return encoded_content;
+    }
 
-            if (data.length + encoded_content.length + 2 > maxSize) {
-                console.error("Too much data!");
-                throw new Error("Too much data!");
-            }
+    async __assembleStorage(records, maxSize) {
+        var data = new Uint8Array([0xBA, 0xDD, 0x0B, 0xEE]); // Magic value 0xBADD0BEE (big endian)
+        var encoded_records = [];
+        var used = data.length + 2; // Magic value + terminator
+
+        for (var i in records) {
+            var encoded_content = await this.__serializeRecord(records[i]);
 
-            data = concatTypedArrays(data, encoded_content);
+            encoded_records.push(encoded_content);
+            used += encoded_content.length;
+        }
+
+        if (used > maxSize) {
+            this.logger.error("Too much data!");
+            throw new Errors.StorageOverflowError("Too much data! (" + used + " bytes, " + maxSize + " available)", maxSize, used);
+        }
+
+        for (var j in encoded_records) {
+            data = concatTypedArrays(data, encoded_records[j]);
         }
 
         data = concatTypedArrays(data, new Uint8Array([0, 0]));
@@ -78,10 +412,9 @@ class Storage {
     }
 
     async __encodeRecord(record) {
-        var encoders = this.__getRecordEncoders();
-
-        if (record.type in encoders) {
-            record = encoders[record.type](record);
+        // Records left raw by the parser already hold their encoded data.
+        if (record.type in recordTypes && !("data" in record)) {
+            record = await recordTypes[record.type].encoder.call(this, record);
         }
 
         return record;
@@ -95,19 +428,70 @@ class Storage {
      *
      * @return  a blob, representing the encoded storage.
      *
-     * @throw   Errors      when too much data is passed.
+     * @throw   StorageOverflowError    when too much data is passed.
      */
     async encodeStorage(size) {
-        var records = Object.assign({}, this.records);
+        var records = [];
 
         for (var i in this.records) {
-            records[i] = await this.__encodeRecord(records[i]);
-
+            // Encoders strip the parsed fields, so work on a copy to keep this.records usable.
+            records.push(await this.__encodeRecord(Object.assign({}, this.records[i])));
         }
 
         return await this.__assembleStorage(records, size);
     }
 
+    /**
+     * Compute the space the storage takes once encoded, without encoding it.
+     * Records are stored one after the other, so once a record doesn't fit,
+     * none of the following ones do.
+     *
+     * @param   size        size of the storage on the calculator, as reported by
+     *                      getPlatformInfo (storage.size).
+     *
+     * @return  an object formatted as follows :
+     *          {
+     *              size:       the size passed as parameter,
+     *              used:       bytes taken by the encoded storage (magic and terminator included),
+     *              free:       bytes left, negative if the storage doesn't fit,
+     *              fits:       whether or not the storage can be installed,
+     *              records:    [{name, type, size}] for each record, in order,
+     *              overflow:   records which don't fit, in order
+     *          }
+     */
+    async getUsage(size) {
+        var usage = {
+            size: size,
+            used: 6, // Magic value + terminator
+            free: 0,
+            fits: true,
+            records: [],
+            overflow: []
+        };
+
+        for (var i in this.records) {
+            var record = this.records[i];
+            var encoded = await this.__serializeRecord(await this.__encodeRecord(Object.assign({}, record)));
+
+            usage.records.push({
+                name: record.name,
+                type: record.type,
+                size: encoded.length
+            });
+
+            if (usage.overflow.length !== 0 || usage.used + encoded.length > size) {
+                usage.overflow.push(record);
+            }
+
+            usage.used += encoded.length;
+        }
+
+        usage.free = size - usage.used;
+        usage.fits = usage.overflow.length === 0;
+
+        return usage;
+    }
+
     async __sliceStorage(blob) {
         var dv = new DataView(await blob.arrayBuffer());
 
@@ -138,12 +522,20 @@ class Storage {
 
             return records;
         } else {
-            return {};
+            return [];
         }
     }
 
+    /**
+     * Read a null-terminated UTF-8 string.
+     *
+     * @param   dv          DataView to read from.
+     * @param   index       offset of the string.
+     * @param   maxLen      maximum number of bytes to read, 0 for no limit.
+     *
+     * @return  {size, content}, size being the number of bytes read, terminator included.
+     */
     __readString(dv, index, maxLen) {
-        var out = "";
         var i = 0;
         for (i = 0; i < maxLen || maxLen === 0; i++) {
             var chr = dv.getUint8(index + i);
@@ -151,13 +543,14 @@ class Storage {
             if (chr === 0) {
                 break;
             }
-
-            out += String.fromCharCode(chr);
         }
 
+        // Decode the whole thing at once, as characters can span multiple bytes
+        var bytes = new Uint8Array(dv.buffer, dv.byteOffset + index, i);
+
         return {
             size: i + 1,
-            content: out
+            content: new TextDecoder("utf-8").decode(bytes)
         };
     }
 
@@ -172,21 +565,139 @@ class Storage {
         return record;
     }
 
-    __getRecordParsers() {
-        return {
-            py: this.__parsePyRecord.bind(this)
-        };
+    /**
+     * Read a KDColor (RGB565) and return it as a "#rrggbb" string.
+     */
+    __readColor(dv, index) {
+        var color = dv.getUint16(index, true);
+
+        var r = (color >> 11) & 0x1F;
+        var g = (color >> 5) & 0x3F;
+        var b = color & 0x1F;
+
+        // Replicate the high bits in the low bits, so that the conversion can be reverted exactly
+        return "#" + [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (b << 3) | (b >> 2)].map(
+            c => c.toString(16).padStart(2, "0")
+        ).join("");
+    }
+
+    /**
+     * Write a "#rrggbb" string as a KDColor (RGB565).
+     */
+    __writeColor(dv, index, color) {
+        var value = parseInt(color.substring(1), 16);
+
+        dv.setUint16(index, (((value >> 19) & 0x1F) << 11) | (((value >> 10) & 0x3F) << 5) | ((value >> 3) & 0x1F), true);
+    }
+
+    /**
+     * Write a boolean as a byte. Epsilon reads any non-zero value as true, so a byte
+     * which already has the right meaning is left as it is.
+     */
+    __writeBoolean(dv, index, value) {
+        if ((dv.getUint8(index) !== 0) !== !!value) {
+            dv.setUint8(index, value ? 1 : 0);
+        }
+    }
+
+    __decodeEnum(names, value) {
+        // Keep unknown values as numbers, so they are written back as-is
+        return value < names.length ? names[value] : value;
+    }
+
+    __encodeEnum(names, value) {
+        if (typeof value === "number") return value;
+
+        var index = names.indexOf(value);
+        if (index === -1) {
+            throw new Errors.InvalidRecordError("Unknown value: " + value + " (expected one of " + names.join(", ") + ")");
+        }
+
+        return index;
+    }
+
+    __parseFunctionHeader(record, dv, size) {
+        record.color = this.__readColor(dv, 0x00);
+        record.active = dv.getUint8(0x02) !== 0;
+        // Raw header, written back under the fields so that parsing and encoding is lossless
+        record.header = new Uint8Array(dv.buffer, 0, size);
+    }
+
+    async __parseFuncRecord(record) {
+        var buffer = await record.data.arrayBuffer();
+
+        // Layout unknown to us (other firmware version?), keep it raw.
+        if (buffer.byteLength < FUNC_HEADER_SIZE) return record;
+
+        var dv = new DataView(buffer);
+
+        this.__parseFunctionHeader(record, dv, FUNC_HEADER_SIZE);
+        record.plotType = this.__decodeEnum(FUNC_PLOT_TYPES, dv.getUint8(0x03));
+        record.tMin = dv.getFloat32(0x04, true);
+        record.tMax = dv.getFloat32(0x08, true);
+        record.displayDerivative = dv.getUint8(0x0C) !== 0;
+        // The expression is a copy of Poincare's pool, which we can't decode.
+        record.expression = new Uint8Array(buffer, FUNC_HEADER_SIZE);
+
+        delete record.data;
+
+        return record;
+    }
+
+    async __parseSeqRecord(record) {
+        var buffer = await record.data.arrayBuffer();
+
+        if (buffer.byteLength < SEQ_HEADER_SIZE) return record;
+
+        var dv = new DataView(buffer);
+
+        var firstSize = dv.getUint16(0x05, true);
+        var secondSize = dv.getUint16(0x07, true);
+        var definitionSize = buffer.byteLength - SEQ_HEADER_SIZE - firstSize - secondSize;
+
+        // Initial conditions don't fit in the record, so we're not reading what we think we are.
+        if (definitionSize < 0) return record;
+
+        this.__parseFunctionHeader(record, dv, SEQ_HEADER_SIZE);
+        record.sequenceType = this.__decodeEnum(SEQ_TYPES, dv.getUint8(0x03));
+        record.initialRank = dv.getUint8(0x04);
+
+        var offset = SEQ_HEADER_SIZE;
+        record.definition = new Uint8Array(buffer, offset, definitionSize);
+        offset += definitionSize;
+        record.firstInitialCondition = new Uint8Array(buffer, offset, firstSize);
+        offset += firstSize;
+        record.secondInitialCondition = new Uint8Array(buffer, offset, secondSize);
+
+        delete record.data;
+
+        return record;
+    }
+
+    async __parseExpressionRecord(record) {
+        record.expression = new Uint8Array(await record.data.arrayBuffer());
+
+        delete record.data;
+
+        return record;
+    }
+
+    async __parseSysRecord(record) {
+        // System records' layout depends on the firmware, so only the content is exposed.
+        record.content = new Uint8Array(await record.data.arrayBuffer());
+
+        delete record.data;
+
+        return record;
     }
 
     async __parseRecord(record) {
-        if (record.type != "py") {
-            console.log(record);
-            let dv = new DataView(await record.data.arrayBuffer());
-            record.code = this.__readString(dv, 1, record.data.size).content;
-            delete record.data;
-            return record;
+        if (record.type in recordTypes) {
+            record = await recordTypes[record.type].parser.call(this, record);
         }
-        return await this.__parsePyRecord(record);
+
+        // Records we don't know how to parse keep their raw data, so they can be written back as-is.
+        return record;
     }
 
     /**
@@ -199,21 +710,367 @@ class Storage {
 
         this.magik = dv.getUint32(0x00, false) === 0xBADD0BEE;
 
-        this.records = {};
+        this.records = [];
 
         if (this.magik) {
             this.records = await this.__sliceStorage(blob);
 
             for (var i in this.records) {
                 this.records[i] = await this.__parseRecord(this.records[i]);
+            }
+        }
+    }
+
+    /**
+     * Compare two storages, record by record. Records are identified by their
+     * name and type, and compared on their encoded content.
+     *
+     * @param   from        the current storage (eg. from backupStorage).
+     * @param   to          the desired storage.
+     *
+     * @return  an object formatted as follows, each change being
+     *          {kind: "added"/"removed"/"modified", name, type, from: record or null, to: record or null} :
+     *          {
+     *              added:      records only in {to},
+     *              removed:    records only in {from},
+     *              modified:   records in both, with a different content,
+     *              unchanged:  records in both, with the same content
+     *          }
+     */
+    static async diff(from, to) {
+        var diff = {
+            added: [],
+            removed: [],
+            modified: [],
+            unchanged: []
+        };
+
+        for (let record of to.records) {
+            let previous = from.getRecord(record.name, record.type);
+            let change = {
+                kind: "added",
+                name: record.name,
+                type: record.type,
+                from: previous,
+                to: record
+            };
+
+            if (previous === null) {
+                diff.added.push(change);
+            } else if (await from.__isSameRecord(previous, record)) {
+                change.kind = "unchanged";
+                diff.unchanged.push(change);
+            } else {
+                change.kind = "modified";
+                diff.modified.push(change);
+            }
+        }
+
+        for (let record of from.records) {
+            if (to.getRecord(record.name, record.type) === null) {
+                diff.removed.push({
+                    kind: "removed",
+                    name: record.name,
+                    type: record.type,
+                    from: record,
+                    to: null
+                });
+            }
+        }
+
+        return diff;
+    }
+
+    async __isSameRecord(recordA, recordB) {
+        var a = await this.__serializeRecord(await this.__encodeRecord(Object.assign({}, recordA)));
+        var b = await this.__serializeRecord(await this.__encodeRecord(Object.assign({}, recordB)));
+
+        return a.length === b.length && a.every((value, index) => value === b[index]);
+    }
+
+    /**
+     * Apply changes, as returned by Storage.diff, to this storage.
+     * Added and modified records are copied, removed records are deleted.
+     *
+     * @param   changes     array of changes to apply, or the whole diff.
+     */
+    merge(changes) {
+        if (!Array.isArray(changes)) {
+            changes = [].concat(changes.added, changes.removed, changes.modified);
+        }
+
+        for (let change of changes) {
+            if (change.kind === "removed") {
+                this.deleteRecord(change.name, change.type);
+            } else if (change.kind === "added" || change.kind === "modified") {
+                this.replaceRecord(Object.assign({}, change.to));
+            }
+        }
+    }
+
+    /**
+     * Export the storage as a raw image, exactly as it's laid out on the calculator:
+     * magic value, records, terminator, padding up to {size}, second magic value.
+     * This is what the calculator's storage looks like when read with backupStorage.
+     *
+     * @param   size        size of the storage on the calculator, as reported by
+     *                      getPlatformInfo (storage.size).
+     *
+     * @return  a blob of {size} + 8 bytes, representing the image.
+     *
+     * @throw   StorageOverflowError    when too much data is passed.
+     */
+    async exportImage(size) {
+        var storage = new Uint8Array(await (await this.encodeStorage(size)).arrayBuffer());
+        var image = new Uint8Array(size + 8);
+
+        image.set(storage, 0);
+        new DataView(image.buffer).setUint32(size + 4, 0xBADD0BEE, false);
+
+        return new Blob([image]);
+    }
+
+    /**
+     * Check that a raw image is a valid storage.
+     *
+     * @param   buffer      ArrayBuffer of the image.
+     *
+     * @throw   InvalidStorageError     describing the first problem found.
+     */
+    static __validateImage(buffer) {
+        var dv = new DataView(buffer);
+
+        if (buffer.byteLength < 6 || dv.getUint32(0x00, false) !== 0xBADD0BEE) {
+            throw new Errors.InvalidStorageError("Invalid storage image: magic value not found");
+        }
+
+        // The second magic value is optional, as encodeStorage doesn't output it
+        var end = buffer.byteLength;
+        if (end >= 10 && dv.getUint32(end - 4, false) === 0xBADD0BEE) {
+            end -= 4;
+        }
+
+        var offset = 4;
+
+        while (offset + 2 <= end) {
+            var size = dv.getUint16(offset, true);
+
+            if (size === 0) return;
+
+            if (size < 3 || offset + size > end) {
+                throw new Errors.InvalidStorageError("Invalid storage image: record at 0x" + offset.toString(16) + " has an invalid size (" + size + ")");
+            }
+
+            var name = new Uint8Array(buffer, offset + 2, size - 2);
+            var nameEnd = name.indexOf(0);
+
+            if (nameEnd === -1) {
+                throw new Errors.InvalidStorageError("Invalid storage image: record at 0x" + offset.toString(16) + " has an unterminated name");
+            }
+
+            var dot = name.subarray(0, nameEnd).lastIndexOf(0x2E);
+
+            if (dot <= 0 || dot === nameEnd - 1) {
+                throw new Errors.InvalidStorageError("Invalid storage image: record at 0x" + offset.toString(16) + " has no valid extension");
+            }
+
+            offset += size;
+        }
+
+        throw new Errors.InvalidStorageError("Invalid storage image: terminator not found");
+    }
+
+    /**
+     * Build a storage from a raw image, such as the ones made by exportImage
+     * or encodeStorage.
+     *
+     * @param   blob        the image.
+     * @param   options     options of the storage, see the constructor.
+     *
+     * @return  the storage.
+     *
+     * @throw   InvalidStorageError     if the image is invalid.
+     */
+    static async fromImage(blob, options = {}) {
+        Storage.__validateImage(await blob.arrayBuffer());
+
+        var storage = new Storage(options);
+        await storage.parseStorage(blob);
+
+        return storage;
+    }
+
+    /**
+     * Export the storage as a ZIP archive.
+     * Python scripts are stored as ".py" files, other records as their raw content
+     * in the "records" folder. A manifest lists every record, in order, with the
+     * autoImport flag of scripts.
+     *
+     * @return  a blob, representing the archive.
+     */
+    async exportZip() {
+        const encoder = new TextEncoder();
+
+        var files = {};
+        var manifest = {
+            version: MANIFEST_VERSION,
+            records: []
+        };
+
+        for (var i in this.records) {
+            var record = this.records[i];
+            var entry = {
+                name: record.name,
+                type: record.type
+            };
 
-                // Throwing away non-python stuff, for convinience.
-                // if (this.records[i].type !== 'py') this.records.splice(i, 1);
+            if (record.type === "py" && !("data" in record)) {
+                entry.file = record.name + ".py";
+                // Scripts added without the flag are encoded as not imported
+                entry.autoImport = !!record.autoImport;
+                files[entry.file] = encoder.encode(record.code);
+            } else {
+                var encoded = await this.__encodeRecord(Object.assign({}, record));
+                entry.file = "records/" + record.name + "." + record.type;
+                files[entry.file] = new Uint8Array(await encoded.data.arrayBuffer());
             }
+
+            manifest.records.push(entry);
+        }
+
+        files[MANIFEST_NAME] = encoder.encode(JSON.stringify(manifest, null, 4));
+
+        return new Blob([fflate.zipSync(files)], { type: "application/zip" });
+    }
+
+    /**
+     * Add records from a set of files.
+     * If there is a manifest, records are loaded as described by it. Otherwise,
+     * every ".py" file is loaded as a script, imported automatically.
+     *
+     * @param   files       object mapping paths to file contents (Uint8Array).
+     */
+    async __loadFiles(files) {
+        const decoder = new TextDecoder("utf-8");
+
+        if (MANIFEST_NAME in files) {
+            var manifest;
+
+            try {
+                manifest = JSON.parse(decoder.decode(files[MANIFEST_NAME]));
+            } catch (error) {
+                throw new Errors.InvalidStorageError("Invalid manifest: " + error.message, { cause: error });
+            }
+
+            if (manifest.version !== MANIFEST_VERSION) {
+                throw new Errors.InvalidStorageError("Unsupported manifest version: " + manifest.version);
+            }
+
+            for (var i in manifest.records) {
+                var entry = manifest.records[i];
+
+                if (!(entry.file in files)) {
+                    throw new Errors.InvalidStorageError("File missing from the archive: " + entry.file);
+                }
+
+                // Raw scripts are in the records folder, the others are source files (the flag may
+                // be missing from archives exported before it was always written)
+                if (entry.type === "py" && ("autoImport" in entry || !entry.file.startsWith("records/"))) {
+                    this.addScript(entry.name, decoder.decode(files[entry.file]), !!entry.autoImport);
+                } else {
+                    this.addRecord(await this.__parseRecord({
+                        name: entry.name,
+                        type: entry.type,
+                        data: new Blob([files[entry.file]])
+                    }));
+                }
+            }
+        } else {
+            for (var path in files) {
+                var match = path.match(/(?:^|\/)([^/]+)\.py$/);
+
+                if (match !== null) {
+                    this.addScript(match[1], decoder.decode(files[path]));
+                }
+            }
+        }
+    }
+
+    /**
+     * Build a storage from a ZIP archive, such as the ones made by exportZip.
+     * Archives without a manifest are accepted: every ".py" file is then loaded
+     * as a script, imported automatically.
+     *
+     * @param   blob        the archive.
+     * @param   options     options of the storage, see the constructor.
+     *
+     * @return  the storage.
+     *
+     * @throw   InvalidStorageError     if the archive is invalid.
+     * @throw   RecordError             if it contains invalid records.
+     */
+    static async fromZip(blob, options = {}) {
+        var files;
+
+        try {
+            files = fflate.unzipSync(new Uint8Array(await blob.arrayBuffer()), {
+                // Skip folders and macOS metadata
+                filter: file => !file.name.endsWith("/") && !file.name.startsWith("__MACOSX/")
+            });
+        } catch (error) {
+            throw new Errors.InvalidStorageError("Invalid archive: " + error.message, { cause: error });
         }
+
+        var storage = new Storage(options);
+        await storage.__loadFiles(files);
+
+        return storage;
+    }
+
+    /**
+     * Build a storage from a list of files, such as the ones from a file input.
+     * ZIP archives are loaded with fromZip. The other files are loaded like the
+     * content of an archive, paths being relative to the selected folder if any.
+     *
+     * @param   files       list of File objects.
+     * @param   options     options of the storage, see the constructor.
+     *
+     * @return  the storage.
+     *
+     * @throw   InvalidStorageError     if an archive is invalid.
+     * @throw   RecordError             if the files contain invalid records.
+     */
+    static async fromFiles(files, options = {}) {
+        var storage = new Storage(options);
+        var contents = {};
+
+        for (let file of files) {
+            if (/\.zip$/i.test(file.name)) {
+                let archive = await Storage.fromZip(file, options);
+
+                for (let record of archive.records) {
+                    storage.addRecord(record);
+                }
+            } else {
+                // Files from a folder selection are relative to the folder's parent
+                let path = file.webkitRelativePath ? file.webkitRelativePath.replace(/^[^/]*\//, "") : file.name;
+                contents[path] = new Uint8Array(await file.arrayBuffer());
+            }
+        }
+
+        await storage.__loadFiles(contents);
+
+        return storage;
     }
 }
 
+Storage.registerRecordType("py", Storage.prototype.__parsePyRecord, Storage.prototype.__encodePyRecord);
+Storage.registerRecordType("func", Storage.prototype.__parseFuncRecord, Storage.prototype.__encodeFuncRecord);
+Storage.registerRecordType("seq", Storage.prototype.__parseSeqRecord, Storage.prototype.__encodeSeqRecord);
+Storage.registerRecordType("exp", Storage.prototype.__parseExpressionRecord, Storage.prototype.__encodeExpressionRecord);
+Storage.registerRecordType("lis", Storage.prototype.__parseExpressionRecord, Storage.prototype.__encodeExpressionRecord);
+Storage.registerRecordType("sys", Storage.prototype.__parseSysRecord, Storage.prototype.__encodeSysRecord);
+
 function concatTypedArrays(a, b) {
     // Checks for truthy values on both arrays
     if (!a && !b) throw new Error("Please specify valid arguments for parameters a and b.");
@@ -0,0 +1,58 @@
+var WebDFU = require("webdfu");
+var DFU = WebDFU.DFU;
+
+var Errors = require("./Errors");
+
+/**
+ * Functions to access USB devices through a WebUSB-compatible object,
+ * so that the library isn't tied to the browser's navigator.usb.
+ *
+ * In Node.js, the "usb" package provides one:
+ *     new (require("usb").WebUSB)({ allowAllDevices: true })
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+
+/**
+ * Get the WebUSB-compatible object to use.
+ *
+ * @param   usb         object passed by the user, if any.
+ *
+ * @return  {usb}, or navigator.usb if ommited.
+ *
+ * @throw   DeviceError if there is none.
+ */
+function getUSB(usb) {
+    if (usb) return usb;
+
+    if (typeof navigator !== "undefined" && navigator.usb) return navigator.usb;
+
+    throw new Errors.DeviceError("WebUSB isn't available, pass a WebUSB-compatible object in the usb option");
+}
+
+/**
+ * Same as WebDFU's DFU.findAllDfuInterfaces, but using any WebUSB-compatible object.
+ *
+ * @param   usb         the WebUSB-compatible object.
+ *
+ * @return  an array of DFU.Device, one per DFU interface of the devices the user gave access to.
+ */
+async function findAllDfuInterfaces(usb) {
+    let devices = await usb.getDevices();
+    let matches = [];
+
+    for (let device of devices) {
+        let interfaces = DFU.findDeviceDfuInterfaces(device);
+        for (let interface_ of interfaces) {
+            matches.push(new DFU.Device(device, interface_));
+        }
+    }
+
+    return matches;
+}
+
+module.exports = {
+    getUSB,
+    findAllDfuInterfaces
+};
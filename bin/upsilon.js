@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line tool to manage NumWorks calculators, using the "usb" package
+ * to access them.
+ *
+ * @author Maxime "M4x1m3" FRIESS
+ * @license MIT
+ */
+
+var fs = require("fs");
+var path = require("path");
+var File = require("buffer").File;
+
+var Numworks = require("../Numworks");
+
+const USAGE = `Usage: upsilon <command> [options]
+
+Commands:
+    list                        List the connected calculators.
+    info                        Show information about the calculator.
+    slots                       Show what the slots of the bootloader contain.
+    backup <file>               Save the storage to a ZIP archive, or to a raw image
+                                if the file doesn't end with ".zip".
+    restore <file>...           Replace the storage with ZIP archives, raw images
+                                (recognized by their magic value) and Python scripts.
+    flash --internal <file>     Flash a firmware to the internal flash.
+    flash --external <file>     Flash a firmware to the external flash.
+    flash --slot <slot> <file>  Flash a firmware to a slot of the bootloader (A, B
+                                or Khi), which must not be the running one.
+    flash <file>                Flash a DfuSe (.dfu), Intel HEX (.hex) or ELF (.elf)
+                                file, each part at its address.
+    recovery <file>             Flash a recovery to a calculator in recovery mode.
+    inspect <file>              Show what a firmware image is.
+
+Options:
+    --serial <serial>           Use the calculator with this serial number.
+    --timeout <seconds>         Time to wait for the calculator (10 by default).
+    --verify                    Read the data back after restore and flash.
+    --preserve                  Keep the storage when flashing, restarting the
+                                calculator to put it back.
+    --force                     Flash images which seem to be meant for another
+                                region or model.
+    --quiet                     Don't show the progress.
+    --verbose                   Show the log messages.
+    --simulate                  Use a simulated calculator instead of a real one.
+    --help                      Show this message.
+`;
+
+// Options taking a value
+const VALUE_OPTIONS = ["serial", "timeout", "slot"];
+
+const RECOVERY_PID = 0xDF11;
+const CALCULATOR_PID = 0xA291;
+
+// Files holding their addresses: methods to flash them, and Firmware parsers
+const FORMATS = {
+    dfu: { flash: "flashDfuFile", parse: "parseDfuSe" },
+    hex: { flash: "flashHexFile", parse: "parseIntelHex" },
+    elf: { flash: "flashElfFile", parse: "parseElf" }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Split the command line into the command, its arguments and the options.
+ */
+function parseArguments(argv) {
+    var options = {};
+    var positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        let match = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+
+        if (match === null) {
+            positional.push(argv[i]);
+        } else if (VALUE_OPTIONS.includes(match[1])) {
+            let value = match[2] !== undefined ? match[2] : argv[++i];
+            if (value === undefined) {
+                throw new UsageError("Missing value for --" + match[1]);
+            }
+            options[match[1]] = value;
+        } else {
+            options[match[1]] = true;
+        }
+    }
+
+    return { command: positional[0], args: positional.slice(1), options: options };
+}
+
+function getUSB(options) {
+    if (options.simulate) {
+        var Simulator = require("../Simulator");
+        return new Simulator({ recovery: options.command === "recovery" }).usb;
+    }
+
+    var WebUSB;
+
+    try {
+        WebUSB = require("usb").WebUSB;
+    } catch (error) {
+        throw new Error("The \"usb\" package is needed to access calculators, install it with \"npm install usb\"", { cause: error });
+    }
+
+    return new WebUSB({ allowAllDevices: true });
+}
+
+/**
+ * Send the log messages to stderr, as stdout is for the results.
+ */
+function getLogger(options) {
+    var log = (...args) => console.error(...args);
+
+    return {
+        logger: { debug: log, info: log, warn: log, error: log },
+        logLevel: options.verbose ? "debug" : "warn"
+    };
+}
+
+/**
+ * Draw a progress line for the transfers taking more than one block.
+ */
+function showProgress(options) {
+    if (options.quiet) return () => {};
+
+    var drawing = false;
+
+    return function(progress) {
+        if (!progress.total) return;
+
+        var finished = progress.done >= progress.total;
+
+        if (!drawing && (progress.done === 0 || finished)) return;
+
+        drawing = !finished;
+        process.stderr.write("\r" + progress.operation + " (" + progress.phase + "): " + Math.floor(progress.done * 100 / progress.total) + "%" + (finished ? "\n" : ""));
+    };
+}
+
+/**
+ * Create a Numworks or Recovery, and connect it to the calculator.
+ */
+async function connect(Class, options) {
+    var calculator = new Class(Object.assign({ usb: options.usb }, getLogger(options)));
+    var timeout = options.timeout !== undefined ? parseFloat(options.timeout) : 10;
+
+    if (!(timeout > 0)) {
+        throw new UsageError("Invalid timeout: " + options.timeout);
+    }
+
+    calculator.on("progress", showProgress(options));
+
+    try {
+        await calculator.autoConnect({ serial: options.serial, signal: AbortSignal.timeout(timeout * 1000) });
+    } catch (error) {
+        if (error.name === "TimeoutError") {
+            throw new Numworks.Errors.DeviceNotFoundError("No calculator found" + (options.serial ? " with serial " + options.serial : ""));
+        }
+        throw error;
+    }
+
+    return calculator;
+}
+
+function getFormat(file) {
+    var match = file.match(/\.([a-z]+)$/i);
+
+    return match !== null && match[1].toLowerCase() in FORMATS ? FORMATS[match[1].toLowerCase()] : null;
+}
+
+function readFile(file) {
+    // A File like the browser's, which the Storage reads with slice() and arrayBuffer()
+    return new File([fs.readFileSync(file)], path.basename(file));
+}
+
+/**
+ * Whether a file is a raw storage image, starting with the magic value 0xBADD0BEE
+ * whatever its name (backup writes one for any file not ending in .zip).
+ */
+async function isStorageImage(file) {
+    var header = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+
+    return header.length === 4 && new DataView(header.buffer).getUint32(0, false) === 0xBADD0BEE;
+}
+
+async function list(args, options) {
+    var devices = await options.usb.getDevices();
+
+    for (let device of devices) {
+        if (device.vendorId !== 0x0483) continue;
+
+        if (device.productId === CALCULATOR_PID) {
+            console.log(device.serialNumber + "\t" + device.productName);
+        } else if (device.productId === RECOVERY_PID) {
+            console.log(device.serialNumber + "\t" + device.productName + " (recovery mode)");
+        }
+    }
+}
+
+function printPlatformInfo(platformInfo) {
+    if (!platformInfo["magik"]) {
+        console.log("Software:   unknown");
+        return;
+    }
+
+    console.log("Version:    " + platformInfo["version"] + (platformInfo["commit"] ? " (" + platformInfo["commit"] + ")" : ""));
+
+    if (platformInfo["omega"] && platformInfo["omega"]["installed"]) {
+        console.log("Omega:      " + platformInfo["omega"]["version"] + (platformInfo["omega"]["user"] ? " (" + platformInfo["omega"]["user"] + ")" : ""));
+    }
+
+    if (platformInfo["upsilon"] && platformInfo["upsilon"]["installed"]) {
+        console.log("Upsilon:    " + platformInfo["upsilon"]["version"] + (platformInfo["upsilon"]["official"] ? "" : " (unofficial)"));
+    }
+
+    if (platformInfo["slot"] && platformInfo["slot"]["name"]) {
+        console.log("Slot:       " + platformInfo["slot"]["name"]);
+    }
+}
+
+function printFirmware(firmware) {
+    console.log("Region:     " + (firmware.region || "unknown") + (firmware.address !== null ? " (0x" + firmware.address.toString(16) + ")" : ""));
+    console.log("Model:      " + (firmware.model ? "N" + firmware.model : "unknown"));
+
+    printPlatformInfo(firmware.platformInfo);
+}
+
+async function info(args, options) {
+    var calculator = await connect(Numworks, options);
+    var platformInfo = await calculator.getPlatformInfo();
+
+    console.log("Serial:     " + calculator.device.device_.serialNumber);
+    console.log("Model:      " + calculator.getModel(false));
+
+    printPlatformInfo(platformInfo);
+    if (!platformInfo["magik"]) return;
+
+    var storage = await calculator.backupStorage();
+    var usage = await calculator.getStorageUsage(storage);
+
+    console.log("Storage:    " + usage.used + "/" + usage.size + " bytes used, " + storage.records.length + " records");
+}
+
+async function slots(args, options) {
+    var calculator = await connect(Numworks, options);
+
+    var list = await calculator.getSlots();
+
+    for (let slot of list) {
+        console.log((slot !== list[0] ? "\n" : "") + "Slot " + slot.name + " (0x" + slot.start.toString(16) + ")" + (slot.active ? ", running" : ""));
+        printPlatformInfo(slot.platformInfo);
+    }
+}
+
+async function backup(args, options) {
+    if (args.length !== 1) {
+        throw new UsageError("backup takes the file to write");
+    }
+
+    var calculator = await connect(Numworks, options);
+    var storage = await calculator.backupStorage();
+    var blob;
+
+    if (/\.zip$/i.test(args[0])) {
+        blob = await storage.exportZip();
+    } else {
+        let storageInfo = await calculator.getPlatformInfo();
+        blob = await storage.exportImage(storageInfo["storage"]["size"]);
+    }
+
+    fs.writeFileSync(args[0], new Uint8Array(await blob.arrayBuffer()));
+
+    console.log("Saved " + storage.records.length + " records to " + args[0]);
+}
+
+async function restore(args, options) {
+    if (args.length === 0) {
+        throw new UsageError("restore takes the files to restore");
+    }
+
+    var storage = new Numworks.Storage();
+
+    // Checked before connecting, as installing an empty storage would wipe the calculator
+    for (let file of args) {
+        let blob = readFile(file);
+        let loaded = await isStorageImage(blob) ? await Numworks.Storage.fromImage(blob) : await Numworks.Storage.fromFiles([blob]);
+
+        if (loaded.records.length === 0) {
+            throw new Error("No records found in " + file + " (expected a ZIP archive, a raw image or a .py file)");
+        }
+
+        loaded.records.forEach(record => storage.addRecord(record));
+    }
+
+    var calculator = await connect(Numworks, options);
+    await calculator.installStorage(storage, { verify: !!options.verify });
+
+    console.log("Restored " + storage.records.length + " records");
+}
+
+async function flash(args, options) {
+    var format = args.length === 1 ? getFormat(args[0]) : null;
+
+    var targets = [options.internal, options.external, options.slot].filter(target => target !== undefined).length;
+
+    if (args.length !== 1 || (format === null ? targets !== 1 : targets !== 0)) {
+        throw new UsageError("flash takes the firmware, and either --internal, --external or --slot unless it's a .dfu, .hex or .elf file");
+    }
+
+    var buffer = await readFile(args[0]).arrayBuffer();
+    var calculator = await connect(Numworks, options);
+    var serial = calculator.device.device_.serialNumber;
+    var flashOptions = { verify: !!options.verify, checkFirmware: !options.force, preserveStorage: !!options.preserve };
+
+    try {
+        if (options.slot !== undefined) {
+            await calculator.flashSlot(options.slot, buffer, flashOptions);
+        } else if (format !== null) {
+            await calculator[format.flash](buffer, flashOptions);
+        } else if (options.internal) {
+            await calculator.flashInternal(buffer, flashOptions);
+        } else {
+            await calculator.flashExternal(buffer, flashOptions);
+        }
+    } catch (error) {
+        if (error instanceof Numworks.Errors.StorageRestoreError) {
+            // Don't lose the scripts
+            let file = "backup-" + serial + ".zip";
+            let blob = await error.storage.exportZip();
+            fs.writeFileSync(file, new Uint8Array(await blob.arrayBuffer()));
+            console.error("The storage has been saved to " + file + ", restore it with: upsilon restore " + file);
+        }
+        throw error;
+    }
+
+    console.log("Flashed " + args[0]);
+}
+
+async function recovery(args, options) {
+    if (args.length !== 1) {
+        throw new UsageError("recovery takes the recovery to flash");
+    }
+
+    var buffer = await readFile(args[0]).arrayBuffer();
+    var calculator = await connect(Numworks.Recovery, options);
+
+    await calculator.flashRecovery(buffer);
+
+    console.log("Flashed " + args[0]);
+}
+
+async function inspect(args, options) {
+    if (args.length !== 1) {
+        throw new UsageError("inspect takes the firmware to inspect");
+    }
+
+    var buffer = await readFile(args[0]).arrayBuffer();
+    var format = getFormat(args[0]);
+
+    if (format === null) {
+        printFirmware(Numworks.Firmware.inspect(buffer, getLogger(options)));
+        return;
+    }
+
+    var file = Numworks.Firmware[format.parse](buffer);
+
+    if (file.vendorId !== undefined) {
+        console.log("Device:     " + file.vendorId.toString(16).padStart(4, "0") + ":" + file.productId.toString(16).padStart(4, "0"));
+    }
+
+    if (file.entry !== undefined && file.entry !== null) {
+        console.log("Entry:      0x" + file.entry.toString(16));
+    }
+
+    for (let element of file.elements) {
+        console.log("\nElement at 0x" + element.address.toString(16) + ", " + element.data.length + " bytes");
+        printFirmware(Numworks.Firmware.inspect(element.data, getLogger(options)));
+    }
+}
+
+const COMMANDS = { list, info, slots, backup, restore, flash, recovery, inspect };
+
+async function main(argv) {
+    var parsed = parseArguments(argv);
+    var options = parsed.options;
+
+    if (options.help || parsed.command === undefined) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    if (!(parsed.command in COMMANDS)) {
+        throw new UsageError("Unknown command: " + parsed.command);
+    }
+
+    options.command = parsed.command;
+    if (parsed.command !== "inspect") {
+        options.usb = getUSB(options);
+    }
+
+    await COMMANDS[parsed.command](parsed.args, options);
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exit(code);
+}, error => {
+    if (error instanceof UsageError) {
+        console.error(error.message + "\n\n" + USAGE);
+        process.exit(2);
+    }
+
+    console.error((error.name || "Error") + ": " + error.message);
+    process.exit(1);
+});
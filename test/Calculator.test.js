@@ -0,0 +1,151 @@
+const assert = require("assert");
+
+const Numworks = require("../Numworks");
+const Simulator = require("../Simulator");
+
+describe("Calculator", function() {
+    describe("detect", function() {
+        it("resolves with the device, and calls the success callback", async function() {
+            var calculator = new Numworks({ usb: new Simulator().usb, logger: null });
+            var called = false;
+
+            var device = await calculator.detect(() => {
+                called = true;
+            });
+
+            assert.ok(called);
+            assert.strictEqual(device, calculator.device);
+        });
+
+        it("passes errors thrown by the success callback to the error callback", async function() {
+            var calculator = new Numworks({ usb: new Simulator().usb, logger: null });
+            var thrown = new Error("Callback failed");
+            var received = null;
+
+            var result = await calculator.detect(() => {
+                throw thrown;
+            }, error => {
+                received = error;
+            });
+
+            assert.strictEqual(received, thrown);
+            assert.strictEqual(result, undefined);
+        });
+
+        it("rejects if no calculator is selected", async function() {
+            var simulator = new Simulator();
+            var calculator = new Numworks.Recovery({ usb: simulator.usb, logger: null });
+
+            // The simulated calculator isn't in recovery mode
+            await assert.rejects(calculator.detect(), Numworks.Errors.DeviceNotFoundError);
+        });
+    });
+
+    describe("autoConnect", function() {
+        it("connects to the calculator with the given serial number", async function() {
+            var simulator = new Simulator({ serialNumber: "ABCDEF" });
+            var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+            await calculator.autoConnect({ serial: "ABCDEF" });
+
+            assert.strictEqual(calculator.device.device_.serialNumber, "ABCDEF");
+        });
+
+        it("is rejected when its signal is aborted", async function() {
+            var simulator = new Simulator();
+            var calculator = new Numworks.Recovery({ usb: simulator.usb, logger: null });
+
+            await assert.rejects(calculator.autoConnect({ signal: AbortSignal.timeout(100) }), { name: "TimeoutError" });
+            assert.strictEqual(calculator.autoconnectId, null);
+        });
+
+        it("is rejected with an AbortError when stopped", async function() {
+            var simulator = new Simulator();
+            var calculator = new Numworks.Recovery({ usb: simulator.usb, logger: null });
+            var promise = calculator.autoConnect();
+
+            calculator.stopAutoConnect();
+
+            await assert.rejects(promise, error => error instanceof DOMException && error.name === "AbortError");
+            assert.strictEqual(calculator.autoconnectId, null);
+        });
+
+        it("is rejected with an AbortError when another call replaces it", async function() {
+            this.timeout(5000);
+
+            var simulator = new Simulator();
+            var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+            simulator.unplug();
+            var replaced = calculator.autoConnect();
+            var promise = calculator.autoConnect();
+
+            await assert.rejects(replaced, error => error instanceof DOMException && error.name === "AbortError");
+
+            simulator.plug();
+            assert.strictEqual(await promise, calculator.device);
+        });
+
+        it("resolves with undefined when stopped, if a callback is given", async function() {
+            var simulator = new Simulator();
+            var calculator = new Numworks.Recovery({ usb: simulator.usb, logger: null });
+            var called = false;
+            var promise = calculator.autoConnect(() => {
+                called = true;
+            });
+
+            calculator.stopAutoConnect();
+
+            assert.strictEqual(await promise, undefined);
+            assert.ok(!called);
+        });
+
+        it("isn't rejected when stopped once connected", async function() {
+            var simulator = new Simulator();
+            var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+            // What the example does
+            var device = await calculator.autoConnect(() => calculator.stopAutoConnect());
+
+            assert.strictEqual(device, calculator.device);
+        });
+
+        it("leaves the loop of a later call running when the signal of an earlier one is aborted", async function() {
+            this.timeout(5000);
+
+            var simulator = new Simulator();
+            var calculator = new Numworks({ usb: simulator.usb, logger: null });
+            var controller = new AbortController();
+
+            await calculator.autoConnect({ signal: controller.signal });
+
+            simulator.unplug();
+            var promise = calculator.autoConnect();
+
+            controller.abort();
+            assert.notStrictEqual(calculator.autoconnectId, null);
+
+            simulator.plug();
+            assert.strictEqual(await promise, calculator.device);
+        });
+
+        it("leaves the loop of a later call running when a replaced call is aborted", async function() {
+            this.timeout(5000);
+
+            var simulator = new Simulator();
+            var calculator = new Numworks({ usb: simulator.usb, logger: null });
+            var controller = new AbortController();
+
+            simulator.unplug();
+            var replaced = calculator.autoConnect({ signal: controller.signal });
+            var promise = calculator.autoConnect();
+
+            controller.abort();
+            await assert.rejects(replaced, { name: "AbortError" });
+            assert.notStrictEqual(calculator.autoconnectId, null);
+
+            simulator.plug();
+            assert.strictEqual(await promise, calculator.device);
+        });
+    });
+});
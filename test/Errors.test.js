@@ -0,0 +1,37 @@
+const assert = require("assert");
+
+const Errors = require("../Errors");
+
+describe("Errors", function() {
+    it("names each error after its class", function() {
+        for (let name in Errors) {
+            if (name === "translateError") continue;
+
+            let error = new Errors[name]("Something happened");
+
+            assert.strictEqual(error.name, name);
+            assert.strictEqual(String(error), name + ": Something happened");
+            assert.ok(error instanceof Errors.NumworksError);
+        }
+    });
+
+    describe("translateError", function() {
+        it("keeps our errors, aborts and programming errors", function() {
+            for (let error of [new Errors.TransferError("Stall"), new TypeError("x is null"), new DOMException("Aborted", "AbortError")]) {
+                assert.strictEqual(Errors.translateError(error), error);
+            }
+        });
+
+        it("recognizes disconnections, permissions and missing devices", function() {
+            var device = { disconnected: true };
+            var error = new DOMException("A transfer error has occurred.", "NetworkError");
+
+            assert.ok(Errors.translateError(error, device) instanceof Errors.DisconnectedError);
+            assert.strictEqual(Errors.translateError(error, device).cause, error);
+            assert.ok(Errors.translateError(error) instanceof Errors.TransferError);
+            assert.ok(Errors.translateError(new DOMException("Access denied.", "SecurityError")) instanceof Errors.PermissionDeniedError);
+            assert.ok(Errors.translateError(new DOMException("No device selected.", "NotFoundError")) instanceof Errors.DeviceNotFoundError);
+            assert.ok(Errors.translateError("Stall") instanceof Errors.TransferError);
+        });
+    });
+});
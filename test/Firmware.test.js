@@ -0,0 +1,459 @@
+const assert = require("assert");
+
+const Numworks = require("../Numworks");
+const Firmware = require("../Firmware");
+const Simulator = require("../Simulator");
+
+const Errors = Numworks.Errors;
+
+/**
+ * CRC-32 of a DfuSe file: the usual one, without the final inversion.
+ */
+function crc32(bytes) {
+    var crc = 0xFFFFFFFF;
+
+    for (let byte of bytes) {
+        crc ^= byte;
+        for (let i = 0; i < 8; i++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+
+    return crc >>> 0;
+}
+
+/**
+ * Write the CRC of a DfuSe file again, once it has been modified.
+ */
+function sign(bytes) {
+    new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, bytes.length - 4)), true);
+
+    return bytes;
+}
+
+/**
+ * Build a DfuSe file, as described by ST's UM0391.
+ *
+ * @param   targets     [{alternateSetting, name, elements: [{address, data}]}].
+ * @param   options     {vendorId, productId}: 0xFFFF (any) by default.
+ */
+function buildDfuSe(targets, options = {}) {
+    var parts = [];
+
+    for (let target of targets) {
+        let prefix = new Uint8Array(274);
+        let dv = new DataView(prefix.buffer);
+        let size = target.elements.reduce((total, element) => total + 8 + element.data.length, 0);
+
+        prefix.set(new TextEncoder().encode("Target"), 0);
+        prefix[6] = target.alternateSetting || 0;
+        if (target.name) {
+            dv.setUint32(7, 1, true);
+            prefix.set(new TextEncoder().encode(target.name), 11);
+        }
+        dv.setUint32(266, size, true);
+        dv.setUint32(270, target.elements.length, true);
+        parts.push(prefix);
+
+        for (let element of target.elements) {
+            let header = new DataView(new ArrayBuffer(8));
+            header.setUint32(0, element.address, true);
+            header.setUint32(4, element.data.length, true);
+            parts.push(new Uint8Array(header.buffer), element.data);
+        }
+    }
+
+    var length = 11 + parts.reduce((total, part) => total + part.length, 0);
+    var bytes = new Uint8Array(length + 16);
+    var dv = new DataView(bytes.buffer);
+
+    bytes.set(new TextEncoder().encode("DfuSe"), 0);
+    bytes[5] = 0x01;
+    dv.setUint32(6, length, true);
+    bytes[10] = targets.length;
+
+    var offset = 11;
+    for (let part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+
+    // Suffix: device, product, vendor, DFU version, "UFD" backwards, its length, CRC
+    dv.setUint16(length, 0xFFFF, true);
+    dv.setUint16(length + 2, options.productId !== undefined ? options.productId : 0xFFFF, true);
+    dv.setUint16(length + 4, options.vendorId !== undefined ? options.vendorId : 0xFFFF, true);
+    dv.setUint16(length + 6, 0x011A, true);
+    bytes.set(new TextEncoder().encode("UFD"), length + 8);
+    bytes[length + 11] = 16;
+
+    return sign(bytes);
+}
+
+/**
+ * Build an Intel HEX record, with its checksum.
+ */
+function hexRecord(type, address, data = []) {
+    var bytes = [data.length, (address >> 8) & 0xFF, address & 0xFF, type].concat(Array.from(data));
+    var checksum = (0x100 - (bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF)) & 0xFF;
+
+    return ":" + bytes.concat([checksum]).map(byte => byte.toString(16).toUpperCase().padStart(2, "0")).join("");
+}
+
+/**
+ * Build a 32-bit little-endian ELF file.
+ *
+ * @param   segments    [{type (PT_LOAD by default), vaddr, paddr, data}].
+ * @param   entry       entry point.
+ */
+function buildElf(segments, entry = 0) {
+    var headersEnd = 0x34 + 32 * segments.length;
+    var length = segments.reduce((total, segment) => total + segment.data.length, headersEnd);
+    var bytes = new Uint8Array(length);
+    var dv = new DataView(bytes.buffer);
+
+    bytes.set([0x7F, 0x45, 0x4C, 0x46, 1, 1, 1], 0);
+    dv.setUint16(0x10, 2, true); // Executable
+    dv.setUint16(0x12, 40, true); // ARM
+    dv.setUint32(0x18, entry, true);
+    dv.setUint32(0x1C, 0x34, true);
+    dv.setUint16(0x28, 0x34, true);
+    dv.setUint16(0x2A, 32, true);
+    dv.setUint16(0x2C, segments.length, true);
+
+    var offset = headersEnd;
+
+    segments.forEach((segment, i) => {
+        let header = 0x34 + 32 * i;
+
+        dv.setUint32(header, segment.type !== undefined ? segment.type : 1, true);
+        dv.setUint32(header + 4, offset, true);
+        dv.setUint32(header + 8, segment.vaddr !== undefined ? segment.vaddr : segment.paddr, true);
+        dv.setUint32(header + 12, segment.paddr, true);
+        dv.setUint32(header + 16, segment.data.length, true);
+        dv.setUint32(header + 20, segment.data.length, true);
+
+        bytes.set(segment.data, offset);
+        offset += segment.data.length;
+    });
+
+    return bytes;
+}
+
+function pattern(length, seed = 0) {
+    return new Uint8Array(length).map((_, i) => (i * 7 + seed) & 0xFF);
+}
+
+async function connect(options = {}) {
+    var simulator = new Simulator(options);
+    var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+    await calculator.detect();
+
+    return { simulator, calculator };
+}
+
+describe("Firmware", function() {
+    describe("parseDfuSe", function() {
+        var elements = [
+            { address: 0x90000000, data: pattern(16) },
+            { address: 0x90010000, data: pattern(8, 1) }
+        ];
+
+        it("reads the targets and their elements", function() {
+            var file = Firmware.parseDfuSe(buildDfuSe([
+                { alternateSetting: 0, name: "Flash", elements: elements },
+                { alternateSetting: 1, elements: [{ address: 0x08000000, data: pattern(4, 2) }] }
+            ], { vendorId: 0x0483, productId: 0xA291 }));
+
+            assert.strictEqual(file.vendorId, 0x0483);
+            assert.strictEqual(file.productId, 0xA291);
+            assert.strictEqual(file.device, 0xFFFF);
+            assert.deepStrictEqual(file.targets.map(target => [target.alternateSetting, target.name, target.elements.length]), [
+                [0, "Flash", 2],
+                [1, null, 1]
+            ]);
+            assert.deepStrictEqual(file.elements, elements.concat([{ address: 0x08000000, data: pattern(4, 2) }]));
+        });
+
+        it("refuses a file with a wrong CRC", function() {
+            var bytes = buildDfuSe([{ elements: elements }]);
+
+            bytes[300] ^= 0x01;
+
+            assert.throws(() => Firmware.parseDfuSe(bytes), { name: "InvalidFirmwareError", message: /CRC/ });
+        });
+
+        it("refuses a file without the DfuSe suffix", function() {
+            var bytes = buildDfuSe([{ elements: elements }]);
+
+            bytes[bytes.length - 8] = "X".charCodeAt(0);
+
+            assert.throws(() => Firmware.parseDfuSe(bytes), { name: "InvalidFirmwareError", message: /suffix/ });
+            assert.throws(() => Firmware.parseDfuSe(new Uint8Array(20)), Errors.InvalidFirmwareError);
+        });
+
+        it("refuses a file without the DfuSe prefix", function() {
+            var bytes = buildDfuSe([{ elements: elements }]);
+
+            bytes[4] = "X".charCodeAt(0);
+
+            assert.throws(() => Firmware.parseDfuSe(sign(bytes)), { name: "InvalidFirmwareError", message: /prefix/ });
+        });
+
+        it("refuses a file whose image size is wrong", function() {
+            var bytes = buildDfuSe([{ elements: elements }]);
+
+            new DataView(bytes.buffer).setUint32(6, bytes.length, true);
+
+            assert.throws(() => Firmware.parseDfuSe(sign(bytes)), { name: "InvalidFirmwareError", message: /size/ });
+        });
+
+        it("refuses a truncated target", function() {
+            var bytes = buildDfuSe([{ elements: elements }]);
+
+            // Its size goes past the suffix
+            new DataView(bytes.buffer).setUint32(11 + 266, 0x1000, true);
+
+            assert.throws(() => Firmware.parseDfuSe(sign(bytes)), { name: "InvalidFirmwareError", message: /target 0 is truncated/ });
+        });
+
+        it("refuses a truncated element", function() {
+            var bytes = buildDfuSe([{ elements: elements }]);
+
+            // The size of the second element goes past the end of the target
+            new DataView(bytes.buffer).setUint32(11 + 274 + 8 + 16 + 4, 9, true);
+
+            assert.throws(() => Firmware.parseDfuSe(sign(bytes)), { name: "InvalidFirmwareError", message: /element 1 of target 0 is truncated/ });
+        });
+
+        it("refuses more targets than the file has", function() {
+            var bytes = buildDfuSe([{ elements: elements }]);
+
+            bytes[10] = 2;
+
+            assert.throws(() => Firmware.parseDfuSe(sign(bytes)), { name: "InvalidFirmwareError", message: /target 1 is invalid/ });
+        });
+    });
+
+    describe("parseIntelHex", function() {
+        it("joins contiguous records into elements", function() {
+            var file = Firmware.parseIntelHex([
+                hexRecord(0x04, 0, [0x90, 0x00]),
+                hexRecord(0x00, 0x0000, [1, 2, 3, 4]),
+                hexRecord(0x00, 0x0004, [5, 6]),
+                // A gap starts another element
+                hexRecord(0x00, 0x0100, [7]),
+                hexRecord(0x05, 0, [0x90, 0x00, 0x01, 0x01]),
+                hexRecord(0x01, 0)
+            ].join("\r\n") + "\r\n");
+
+            assert.deepStrictEqual(file, {
+                elements: [
+                    { address: 0x90000000, data: new Uint8Array([1, 2, 3, 4, 5, 6]) },
+                    { address: 0x90000100, data: new Uint8Array([7]) }
+                ],
+                entry: 0x90000101
+            });
+        });
+
+        it("handles extended linear and extended segment addresses", function() {
+            var file = Firmware.parseIntelHex([
+                hexRecord(0x04, 0, [0x08, 0x00]),
+                hexRecord(0x00, 0x0010, [1]),
+                hexRecord(0x02, 0, [0x10, 0x00]),
+                hexRecord(0x00, 0x0020, [2]),
+                hexRecord(0x03, 0, [0x10, 0x00, 0x00, 0x04]),
+                hexRecord(0x01, 0)
+            ].join("\n"));
+
+            assert.deepStrictEqual(file.elements, [
+                { address: 0x08000010, data: new Uint8Array([1]) },
+                { address: 0x00010020, data: new Uint8Array([2]) }
+            ]);
+            assert.strictEqual(file.entry, 0x10004);
+        });
+
+        it("stops at the end of file record", function() {
+            var file = Firmware.parseIntelHex([
+                hexRecord(0x00, 0x0000, [1]),
+                hexRecord(0x01, 0),
+                "garbage"
+            ].join("\n"));
+
+            assert.deepStrictEqual(file, { elements: [{ address: 0, data: new Uint8Array([1]) }], entry: null });
+        });
+
+        it("refuses a record with a wrong checksum", function() {
+            var line = hexRecord(0x00, 0x0000, [1, 2, 3]);
+            var corrupted = line.slice(0, -2) + ((parseInt(line.slice(-2), 16) + 1) & 0xFF).toString(16).padStart(2, "0");
+
+            assert.throws(() => Firmware.parseIntelHex(corrupted + "\n" + hexRecord(0x01, 0)), { name: "InvalidFirmwareError", message: /checksum on line 1/ });
+        });
+
+        it("refuses a file without the end of file record", function() {
+            assert.throws(() => Firmware.parseIntelHex(hexRecord(0x00, 0x0000, [1, 2, 3])), { name: "InvalidFirmwareError", message: /truncated/ });
+        });
+
+        it("refuses lines which aren't valid records", function() {
+            var end = "\n" + hexRecord(0x01, 0);
+
+            assert.throws(() => Firmware.parseIntelHex("hello" + end), { name: "InvalidFirmwareError", message: /isn't a record/ });
+            // The length says 2 bytes, there are 3
+            assert.throws(() => Firmware.parseIntelHex(":02000000010203FA" + end), { name: "InvalidFirmwareError", message: /length/ });
+            assert.throws(() => Firmware.parseIntelHex(hexRecord(0x06, 0, [1]) + end), { name: "InvalidFirmwareError", message: /record type 6/ });
+            assert.throws(() => Firmware.parseIntelHex(hexRecord(0x04, 0, [1]) + end), { name: "InvalidFirmwareError", message: /address record/ });
+        });
+    });
+
+    describe("parseElf", function() {
+        it("places the loadable segments at their physical address", function() {
+            var file = Firmware.parseElf(buildElf([
+                { paddr: 0x90000000, data: pattern(16) },
+                // Initialized data, copied to RAM at startup
+                { vaddr: 0x20000000, paddr: 0x90000010, data: pattern(8, 1) },
+                // Not loadable (PT_NOTE)
+                { type: 4, paddr: 0x90001000, data: pattern(4) },
+                // Nothing to load (.bss)
+                { vaddr: 0x20000100, paddr: 0x20000100, data: new Uint8Array(0) }
+            ], 0x90000101));
+
+            assert.deepStrictEqual(file, {
+                elements: [
+                    { address: 0x90000000, data: pattern(16) },
+                    { address: 0x90000010, data: pattern(8, 1) }
+                ],
+                entry: 0x90000101
+            });
+        });
+
+        it("refuses what isn't a 32-bit little-endian ELF file", function() {
+            var elf = buildElf([{ paddr: 0x90000000, data: pattern(16) }]);
+
+            assert.throws(() => Firmware.parseElf(pattern(0x40)), { name: "InvalidFirmwareError", message: /Not an ELF/ });
+
+            var elf64 = elf.slice();
+            elf64[4] = 2;
+            assert.throws(() => Firmware.parseElf(elf64), { name: "InvalidFirmwareError", message: /32-bit/ });
+
+            var bigEndian = elf.slice();
+            bigEndian[5] = 2;
+            assert.throws(() => Firmware.parseElf(bigEndian), { name: "InvalidFirmwareError", message: /little-endian/ });
+        });
+
+        it("refuses truncated files", function() {
+            var elf = buildElf([{ paddr: 0x90000000, data: pattern(16) }]);
+
+            assert.throws(() => Firmware.parseElf(elf.slice(0, elf.length - 1)), { name: "InvalidFirmwareError", message: /segment 0 is truncated/ });
+
+            new DataView(elf.buffer).setUint16(0x2C, 10, true);
+            assert.throws(() => Firmware.parseElf(elf), { name: "InvalidFirmwareError", message: /program headers are truncated/ });
+        });
+    });
+
+    describe("flashHexFile and flashElfFile", function() {
+        it("write an Intel HEX file", async function() {
+            var { simulator, calculator } = await connect();
+            var lines = [hexRecord(0x04, 0, [0x90, 0x01])];
+            var data = pattern(64);
+
+            for (let offset = 0; offset < data.length; offset += 16) {
+                lines.push(hexRecord(0x00, offset, data.subarray(offset, offset + 16)));
+            }
+            lines.push(hexRecord(0x01, 0));
+
+            await calculator.flashHexFile(lines.join("\n"), { verify: true });
+
+            assert.deepStrictEqual(simulator.read(0x90010000, 64), data);
+        });
+
+        it("write an ELF file", async function() {
+            var { simulator, calculator } = await connect();
+            var ram = simulator.read(0x20000000, 8);
+
+            await calculator.flashElfFile(buildElf([
+                { paddr: 0x90000000, data: pattern(16) },
+                { vaddr: 0x20000000, paddr: 0x90000010, data: pattern(8, 1) }
+            ]).buffer, { verify: true });
+
+            assert.deepStrictEqual(simulator.read(0x90000000, 24), Uint8Array.from([...pattern(16), ...pattern(8, 1)]));
+            // Nothing written where the data runs from
+            assert.deepStrictEqual(simulator.read(0x20000000, 8), ram);
+        });
+
+        it("refuse files with data outside of the calculator's memory", async function() {
+            var { calculator } = await connect();
+
+            await assert.rejects(calculator.flashElfFile(buildElf([{ paddr: 0xA0000000, data: pattern(16) }]).buffer),
+                Errors.IncompatibleFirmwareError);
+            await assert.rejects(calculator.flashHexFile([hexRecord(0x00, 0, [1]), hexRecord(0x01, 0)].join("\n")),
+                Errors.IncompatibleFirmwareError);
+        });
+    });
+
+    describe("flashDfuFile", function() {
+        it("writes each element at its address", async function() {
+            var { simulator, calculator } = await connect();
+
+            await calculator.flashDfuFile(buildDfuSe([{ elements: [
+                { address: 0x90010000, data: pattern(5000, 1) },
+                { address: 0x90000000, data: pattern(16) }
+            ] }]).buffer, { verify: true });
+
+            assert.deepStrictEqual(simulator.read(0x90000000, 16), pattern(16));
+            assert.deepStrictEqual(simulator.read(0x90010000, 5000), pattern(5000, 1));
+        });
+
+        it("merges the elements sharing a sector", async function() {
+            var { simulator, calculator } = await connect();
+
+            // Both in the first 4K sector: writing the second one alone would erase the first one
+            await calculator.flashDfuFile(buildDfuSe([{ elements: [
+                { address: 0x90000000, data: pattern(16) },
+                { address: 0x90000100, data: pattern(16, 1) }
+            ] }]).buffer);
+
+            assert.deepStrictEqual(simulator.read(0x90000000, 16), pattern(16));
+            assert.deepStrictEqual(simulator.read(0x90000010, 0xF0), new Uint8Array(0xF0).fill(0xFF));
+            assert.deepStrictEqual(simulator.read(0x90000100, 16), pattern(16, 1));
+        });
+
+        it("refuses overlapping elements", async function() {
+            var { simulator, calculator } = await connect();
+            var before = simulator.read(0x90000000, 32);
+
+            await assert.rejects(calculator.flashDfuFile(buildDfuSe([{ elements: [
+                { address: 0x90000000, data: pattern(16) },
+                { address: 0x90000008, data: pattern(16, 1) }
+            ] }]).buffer), Errors.InvalidFirmwareError);
+
+            assert.deepStrictEqual(simulator.read(0x90000000, 32), before);
+        });
+
+        it("refuses elements outside of the calculator's memory", async function() {
+            var { calculator } = await connect({ model: "0100" });
+
+            await assert.rejects(calculator.flashDfuFile(buildDfuSe([{ elements: [
+                { address: 0x90000000, data: pattern(16) }
+            ] }]).buffer), Errors.IncompatibleFirmwareError);
+        });
+
+        it("refuses files meant for another device", async function() {
+            var { calculator } = await connect();
+            var elements = [{ address: 0x90000000, data: pattern(16) }];
+
+            await assert.rejects(calculator.flashDfuFile(buildDfuSe([{ elements: elements }], { vendorId: 0x1234 }).buffer),
+                Errors.IncompatibleFirmwareError);
+            await assert.rejects(calculator.flashDfuFile(buildDfuSe([{ alternateSetting: 1, elements: elements }]).buffer),
+                Errors.IncompatibleFirmwareError);
+        });
+
+        it("refuses corrupted files before connecting to the device", async function() {
+            var calculator = new Numworks({ usb: new Simulator().usb, logger: null });
+            var bytes = buildDfuSe([{ elements: [{ address: 0x90000000, data: pattern(16) }] }]);
+
+            bytes[300] ^= 0x01;
+
+            await assert.rejects(calculator.flashDfuFile(bytes.buffer), Errors.InvalidFirmwareError);
+        });
+    });
+});
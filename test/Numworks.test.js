@@ -0,0 +1,317 @@
+const assert = require("assert");
+
+const Numworks = require("../Numworks");
+const Simulator = require("../Simulator");
+
+/**
+ * Create a simulated calculator, and a Numworks connected to it.
+ */
+async function connect(options = {}) {
+    var simulator = new Simulator(options);
+    var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+    await calculator.detect();
+
+    return { simulator, calculator };
+}
+
+function pattern(length) {
+    return new Uint8Array(length).map((_, i) => (i * 7) & 0xFF);
+}
+
+describe("Numworks", function() {
+    describe("getPlatformInfo", function() {
+        it("reads the platform info of the running slot", async function() {
+            var { calculator } = await connect({ model: "0110", version: "16.3.0", commit: "1234567" });
+            var platformInfo = await calculator.getPlatformInfo();
+
+            assert.strictEqual(platformInfo.mode, "bootloader");
+            assert.strictEqual(platformInfo.version, "16.3.0");
+            assert.strictEqual(platformInfo.commit, "1234567");
+            assert.deepStrictEqual(platformInfo.storage, { address: 0x20008000, size: 0x8000 });
+        });
+
+        it("throws NotConnectedError without a calculator", async function() {
+            var calculator = new Numworks({ usb: new Simulator().usb, logger: null });
+
+            await assert.rejects(calculator.getPlatformInfo(), Numworks.Errors.NotConnectedError);
+        });
+    });
+
+    describe("backupStorage and installStorage", function() {
+        it("round-trips scripts through the calculator", async function() {
+            var { calculator } = await connect();
+            var storage = await calculator.backupStorage();
+
+            assert.strictEqual(storage.records.length, 0);
+
+            storage.addScript("hello", "print('Hello')\n");
+            storage.addScript("lib", "x = 1\n", false);
+            await calculator.installStorage(storage);
+
+            var backup = await calculator.backupStorage();
+
+            assert.deepStrictEqual(backup.records, [
+                { name: "hello", type: "py", autoImport: true, code: "print('Hello')\n" },
+                { name: "lib", type: "py", autoImport: false, code: "x = 1\n" }
+            ]);
+        });
+
+        it("refuses storages which don't fit", async function() {
+            var { calculator } = await connect({ storageSize: 0x400 });
+            var storage = new Numworks.Storage({ logger: null });
+
+            storage.addScript("big", "#".repeat(0x400));
+
+            await assert.rejects(calculator.installStorage(storage), Numworks.Errors.StorageOverflowError);
+        });
+    });
+
+    describe("flashExternal", function() {
+        it("writes the firmware at the start of the external flash", async function() {
+            var { simulator, calculator } = await connect();
+            var firmware = pattern(70000);
+
+            await calculator.flashExternal(firmware.buffer);
+
+            assert.deepStrictEqual(simulator.read(0x90000000, firmware.length), firmware);
+        });
+
+        it("reports the progress of each phase", async function() {
+            var { calculator } = await connect();
+            var phases = [];
+
+            calculator.on("progress", progress => {
+                if (!phases.includes(progress.phase)) phases.push(progress.phase);
+            });
+
+            await calculator.flashExternal(pattern(5000).buffer, { verify: true });
+
+            assert.deepStrictEqual(phases, ["erase", "write", "verify"]);
+        });
+
+        it("throws UnsupportedModelError on a N0100", async function() {
+            var { calculator } = await connect({ model: "0100" });
+
+            await assert.rejects(calculator.flashExternal(pattern(16).buffer), Numworks.Errors.UnsupportedModelError);
+        });
+    });
+
+    describe("disconnection", function() {
+        it("throws DisconnectedError when the calculator is unplugged during a transfer", async function() {
+            var { simulator, calculator } = await connect();
+
+            simulator.usb.addEventListener("disconnect", event => calculator.onUnexpectedDisconnect(event, () => {}));
+
+            calculator.on("progress", progress => {
+                if (progress.phase === "write" && progress.done > 0) {
+                    // What browsers report, which doesn't tell about the disconnection
+                    simulator.__controlTransferOut = () => {
+                        throw new DOMException("A transfer error has occurred.", "NetworkError");
+                    };
+                    simulator.unplug();
+                }
+            });
+
+            await assert.rejects(calculator.flashExternal(pattern(70000).buffer), Numworks.Errors.DisconnectedError);
+            assert.strictEqual(calculator.device, null);
+        });
+    });
+
+    describe("slots", function() {
+        /**
+         * Image of a slot, as a simulated calculator has it in slot A.
+         */
+        function slotImage(version) {
+            var simulator = new Simulator({ version: version });
+
+            return simulator.read(0x90000000, 0x10000 + 0x100);
+        }
+
+        it("lists the slots and what they contain", async function() {
+            var { calculator } = await connect({ version: "16.3.0" });
+            var slots = await calculator.getSlots();
+
+            assert.deepStrictEqual(slots.map(slot => [slot.name, slot.start, slot.end, slot.active]), [
+                ["A", 0x90000000, 0x90400000, true],
+                ["B", 0x90400000, 0x90800000, false],
+                ["Khi", 0x90180000, 0x90400000, false]
+            ]);
+            assert.strictEqual(slots[0].platformInfo.mode, "bootloader");
+            assert.strictEqual(slots[0].platformInfo.version, "16.3.0");
+            assert.deepStrictEqual(slots[0].platformInfo.slot, { magik: false, kernelHeader: 0x90000008, userlandHeader: 0x90010000, name: "A" });
+            assert.strictEqual(slots[1].platformInfo.magik, false);
+            assert.strictEqual(slots[2].platformInfo.magik, false);
+        });
+
+        it("never overwrites the running slot", async function() {
+            var { simulator, calculator } = await connect();
+            var running = simulator.read(0x90000000, 0x10100);
+
+            for (let name of ["A", "Khi"]) {
+                let error = await calculator.flashSlot(name, slotImage("17.0.0").buffer).catch(error => error);
+
+                assert.ok(error instanceof Numworks.Errors.SlotInUseError, name);
+                assert.strictEqual(error.slot, "A");
+            }
+
+            assert.deepStrictEqual(simulator.read(0x90000000, 0x10100), running);
+            assert.deepStrictEqual(simulator.read(0x90180000, 16), new Uint8Array(16).fill(0xFF));
+        });
+
+        it("writes the other slot", async function() {
+            var { simulator, calculator } = await connect({ version: "16.3.0" });
+            var image = slotImage("17.0.0");
+
+            await calculator.flashSlot("B", image.buffer, { verify: true, checkFirmware: true });
+
+            assert.deepStrictEqual(simulator.read(0x90400000, image.length), image);
+
+            var slots = await calculator.getSlots();
+            assert.deepStrictEqual(slots.map(slot => [slot.name, slot.active, slot.platformInfo.version]), [
+                ["A", true, "16.3.0"],
+                ["B", false, "17.0.0"],
+                ["Khi", false, null]
+            ]);
+        });
+
+        it("writes A and Khi when running from B", async function() {
+            var { simulator, calculator } = await connect({ slot: "B" });
+
+            await calculator.flashSlot("Khi", pattern(16).buffer);
+            await calculator.flashSlot("A", pattern(32).buffer);
+
+            assert.deepStrictEqual(simulator.read(0x90180000, 16), pattern(16));
+            assert.deepStrictEqual(simulator.read(0x90000000, 32), pattern(32));
+            await assert.rejects(calculator.flashSlot("B", pattern(16).buffer), Numworks.Errors.SlotInUseError);
+        });
+
+        it("refuses images which aren't slots with checkFirmware", async function() {
+            var { calculator } = await connect();
+
+            await assert.rejects(calculator.flashSlot("B", pattern(16).buffer, { checkFirmware: true }), Numworks.Errors.IncompatibleFirmwareError);
+            await assert.rejects(calculator.flashSlot("B", new Uint8Array(0x400001).buffer), Numworks.Errors.IncompatibleFirmwareError);
+            await assert.rejects(calculator.flashSlot("C", pattern(16).buffer), RangeError);
+        });
+
+        it("throws UnsupportedModelError without the bootloader", async function() {
+            for (let options of [{ model: "0100" }, { slotInfo: false }]) {
+                let { calculator } = await connect(options);
+
+                await assert.rejects(calculator.getSlots(), Numworks.Errors.UnsupportedModelError);
+                await assert.rejects(calculator.flashSlot("B", pattern(16).buffer), Numworks.Errors.UnsupportedModelError);
+            }
+        });
+    });
+
+    describe("verify", function() {
+        it("throws VerificationError at the first byte read back wrong", async function() {
+            var { simulator, calculator } = await connect();
+            var upload = simulator.__upload.bind(simulator);
+
+            // A stuck bit in the external flash
+            simulator.__upload = (blockNum, length) => {
+                var data = upload(blockNum, length);
+
+                if (data !== null && simulator.addressPointer === 0x90000000 && blockNum === 2) {
+                    data[10] ^= 0x01;
+                }
+
+                return data;
+            };
+
+            var error = await calculator.flashExternal(pattern(5000).buffer, { verify: true }).catch(error => error);
+
+            assert.ok(error instanceof Numworks.Errors.VerificationError);
+            assert.strictEqual(error.address, 0x9000000A);
+            assert.strictEqual(error.expected, pattern(11)[10]);
+            assert.strictEqual(error.actual, pattern(11)[10] ^ 0x01);
+        });
+
+        it("checks the installed storage", async function() {
+            var { calculator } = await connect();
+            var storage = new Numworks.Storage({ logger: null });
+
+            storage.addScript("test", "print(1)\n");
+
+            await calculator.installStorage(storage, { verify: true });
+        });
+    });
+
+    describe("abort", function() {
+        it("stops a transfer, and leaves the calculator usable", async function() {
+            var { simulator, calculator } = await connect();
+            var controller = new AbortController();
+            var firmware = pattern(70000);
+
+            calculator.on("progress", progress => {
+                if (progress.phase === "write" && progress.done > 0) controller.abort();
+            });
+
+            await assert.rejects(calculator.flashExternal(firmware.buffer, { signal: controller.signal }), { name: "AbortError" });
+
+            calculator.removeAllListeners("progress");
+
+            await calculator.flashExternal(firmware.buffer);
+            assert.deepStrictEqual(simulator.read(0x90000000, firmware.length), firmware);
+        });
+
+        it("rejects with the reason given to the signal", async function() {
+            var { calculator } = await connect();
+            var controller = new AbortController();
+            var reason = new Error("Cancelled");
+
+            calculator.on("progress", progress => {
+                if (progress.phase === "write" && progress.done > 0) controller.abort(reason);
+            });
+
+            var error = await calculator.flashExternal(pattern(70000).buffer, { signal: controller.signal }).catch(error => error);
+
+            assert.strictEqual(error, reason);
+        });
+
+        it("doesn't start with an aborted signal", async function() {
+            var { calculator } = await connect();
+            var controller = new AbortController();
+
+            controller.abort();
+
+            await assert.rejects(calculator.backupStorage({ signal: controller.signal }), { name: "AbortError" });
+        });
+    });
+
+    describe("preserveStorage", function() {
+        this.timeout(10000);
+
+        it("puts the storage back after the calculator restarts", async function() {
+            var { simulator, calculator } = await connect({ restartDelay: 10 });
+            var storage = new Numworks.Storage({ logger: null });
+
+            storage.addScript("keep", "print('kept')\n");
+            await calculator.installStorage(storage);
+
+            await calculator.flashInternal(pattern(5000).buffer, { preserveStorage: true });
+
+            assert.deepStrictEqual(simulator.read(0x08000000, 5000), pattern(5000));
+
+            var backup = await calculator.backupStorage();
+            assert.deepStrictEqual(backup.records.map(record => record.name), ["keep"]);
+        });
+
+        it("throws StorageRestoreError with the backup if the calculator doesn't come back", async function() {
+            var { simulator, calculator } = await connect();
+            var storage = new Numworks.Storage({ logger: null });
+
+            storage.addScript("keep", "print('kept')\n");
+            await calculator.installStorage(storage);
+
+            // Never plugged back
+            simulator.plug = () => {};
+
+            var error = await calculator.flashInternal(pattern(5000).buffer, { preserveStorage: true, reconnectTimeout: 1500 }).catch(error => error);
+
+            assert.ok(error instanceof Numworks.Errors.StorageRestoreError);
+            assert.deepStrictEqual(error.storage.records.map(record => record.name), ["keep"]);
+        });
+    });
+});
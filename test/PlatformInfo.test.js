@@ -0,0 +1,205 @@
+const assert = require("assert");
+
+const Numworks = require("../Numworks");
+const PlatformInfo = require("../PlatformInfo");
+const Simulator = require("../Simulator");
+
+const MAGIK = 0xF00DC0DE;
+
+const STORAGE = { address: 0x20008000, size: 0x8000 };
+
+// What the bootloader layout advertises, without an external apps area
+const NO_EXTERNAL = {
+    flashStart: 0xFFFFFFFF,
+    flashEnd: 0xFFFFFFFF,
+    flashSize: 0,
+    ramStart: 0xFFFFFFFF,
+    ramEnd: 0xFFFFFFFF,
+    ramSize: 0
+};
+
+const NO_SLOT = { magik: false, kernelHeader: null, userlandHeader: null, name: null };
+
+const SLOT_A = { magik: true, kernelHeader: 0x90000008, userlandHeader: 0x90010000, name: "A" };
+
+/**
+ * Read the platform info of a simulated calculator.
+ */
+async function platformInfo(options) {
+    var simulator = new Simulator(options);
+    var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+    await calculator.detect();
+
+    return await calculator.getPlatformInfo();
+}
+
+describe("PlatformInfo", function() {
+    describe("normalized platform info", function() {
+        it("reads Epsilon 16+ from the slot given by the slot info", async function() {
+            assert.deepStrictEqual(await platformInfo({ version: "16.3.0", commit: "1234567" }), {
+                magik: MAGIK,
+                mode: "bootloader",
+                oldplatform: false,
+                version: "16.3.0",
+                commit: "1234567",
+                storage: STORAGE,
+                external: NO_EXTERNAL,
+                omega: { installed: false },
+                upsilon: { installed: false },
+                slot: SLOT_A
+            });
+        });
+
+        it("finds the running slot without the slot info", async function() {
+            assert.deepStrictEqual(await platformInfo({ slot: "B", slotInfo: false }), {
+                magik: MAGIK,
+                mode: "bootloader",
+                oldplatform: false,
+                version: "16.3.0",
+                commit: "abcdef1",
+                storage: STORAGE,
+                external: NO_EXTERNAL,
+                omega: { installed: false },
+                upsilon: { installed: false },
+                slot: { magik: false, kernelHeader: 0x90400008, userlandHeader: 0x90410000, name: "B" }
+            });
+        });
+
+        it("reads the headers of Omega and Upsilon", async function() {
+            assert.deepStrictEqual(await platformInfo({ upsilon: { version: "1.0.1" } }), {
+                magik: MAGIK,
+                mode: "bootloader",
+                oldplatform: false,
+                version: "16.3.0",
+                commit: "abcdef1",
+                storage: STORAGE,
+                external: NO_EXTERNAL,
+                omega: { installed: true, version: "2.0.0", user: "" },
+                upsilon: { installed: true, version: "1.0.1", osType: 0x78718279, official: true },
+                slot: SLOT_A
+            });
+        });
+
+        it("reads Epsilon 11 to 15 from the internal flash", async function() {
+            var options = { layout: "legacy", version: "15.3.1", omega: { version: "1.22.1", user: "Maxime" } };
+
+            assert.deepStrictEqual(await platformInfo(options), {
+                magik: MAGIK,
+                mode: "legacy",
+                oldplatform: false,
+                version: "15.3.1",
+                commit: "abcdef1",
+                storage: STORAGE,
+                external: null,
+                omega: { installed: true, version: "1.22.1", user: "Maxime" },
+                upsilon: { installed: false },
+                slot: NO_SLOT
+            });
+        });
+
+        it("reads the legacy layout of a N0100", async function() {
+            assert.deepStrictEqual(await platformInfo({ model: "0100", version: "15.3.1" }), {
+                magik: MAGIK,
+                mode: "legacy",
+                oldplatform: false,
+                version: "15.3.1",
+                commit: "abcdef1",
+                storage: STORAGE,
+                external: null,
+                omega: { installed: false },
+                upsilon: { installed: false },
+                slot: NO_SLOT
+            });
+        });
+
+        it("reads the platform info of Epsilon before 11", async function() {
+            assert.deepStrictEqual(await platformInfo({ model: "0100", layout: "oldplatform", version: "1.10.2" }), {
+                magik: MAGIK,
+                mode: "legacy",
+                oldplatform: true,
+                version: "1.10.2",
+                commit: "abcdef1",
+                storage: STORAGE,
+                external: null,
+                omega: { installed: false },
+                upsilon: { installed: false },
+                slot: NO_SLOT
+            });
+        });
+
+        for (let model of ["0110", "0100"]) {
+            it("gives every field on a blank N" + model, async function() {
+                assert.deepStrictEqual(await platformInfo({ model: model, layout: null }), {
+                    magik: false,
+                    mode: null,
+                    oldplatform: false,
+                    version: null,
+                    commit: null,
+                    storage: null,
+                    external: null,
+                    omega: { installed: false },
+                    upsilon: { installed: false },
+                    slot: NO_SLOT
+                });
+            });
+        }
+    });
+
+    describe("running slot", function() {
+        /**
+         * Simulate a calculator with a firmware in both slots, without the slot info.
+         */
+        async function connect(versionA, versionB) {
+            var simulator = new Simulator({ slot: "B", slotInfo: false, version: versionB });
+            var slotA = new Simulator({ slot: "A", slotInfo: false, version: versionA, commit: "7654321" });
+            var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+            var length = PlatformInfo.USERLAND_HEADER_OFFSET + 0x100;
+            simulator.write(PlatformInfo.SLOTS.A.start, slotA.read(PlatformInfo.SLOTS.A.start, length));
+
+            await calculator.detect();
+
+            return calculator;
+        }
+
+        it("is the slot with the newest version", async function() {
+            var calculator = await connect("16.3.0", "17.0.0");
+            var platformInfo = await calculator.getPlatformInfo();
+
+            assert.strictEqual(platformInfo.slot.name, "B");
+            assert.strictEqual(platformInfo.version, "17.0.0");
+            assert.strictEqual(platformInfo.commit, "abcdef1");
+
+            calculator = await connect("17.0.1", "17.0.0");
+            platformInfo = await calculator.getPlatformInfo();
+
+            assert.strictEqual(platformInfo.slot.name, "A");
+            assert.strictEqual(platformInfo.commit, "7654321");
+        });
+
+        it("is A when both slots have the same version", async function() {
+            var calculator = await connect("16.3.0", "16.3.0");
+
+            assert.strictEqual((await calculator.getPlatformInfo()).slot.name, "A");
+        });
+    });
+
+    describe("compareVersions", function() {
+        it("compares each part as a number", function() {
+            assert.ok(PlatformInfo.compareVersions("16.3.0", "15.9.2") > 0);
+            assert.ok(PlatformInfo.compareVersions("1.9.0", "1.10.0") < 0);
+            assert.strictEqual(PlatformInfo.compareVersions("16.3.0", "16.3.0"), 0);
+        });
+
+        it("treats missing parts as 0", function() {
+            assert.strictEqual(PlatformInfo.compareVersions("16.3", "16.3.0"), 0);
+            assert.ok(PlatformInfo.compareVersions("16.3", "16.3.1") < 0);
+        });
+
+        it("ignores what isn't a number", function() {
+            assert.strictEqual(PlatformInfo.compareVersions("16.3.0-beta", "16.3.0"), 0);
+            assert.ok(PlatformInfo.compareVersions("16.x", "16.1") < 0);
+        });
+    });
+});
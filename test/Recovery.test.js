@@ -0,0 +1,25 @@
+const assert = require("assert");
+
+const Numworks = require("../Numworks");
+const Simulator = require("../Simulator");
+
+describe("Recovery", function() {
+    it("flashes the recovery to RAM", async function() {
+        var simulator = new Simulator({ recovery: true });
+        var calculator = new Numworks.Recovery({ usb: simulator.usb, logger: null });
+        var recovery = new Uint8Array(3000).fill(0x42);
+
+        await calculator.detect();
+        assert.strictEqual(calculator.getModel(), "0110");
+
+        await calculator.flashRecovery(recovery.buffer);
+
+        assert.deepStrictEqual(simulator.read(0x20030000, recovery.length), recovery);
+    });
+
+    it("throws NotConnectedError without a calculator", async function() {
+        var calculator = new Numworks.Recovery({ usb: new Simulator({ recovery: true }).usb, logger: null });
+
+        await assert.rejects(calculator.flashRecovery(new ArrayBuffer(16)), Numworks.Errors.NotConnectedError);
+    });
+});
@@ -0,0 +1,50 @@
+const assert = require("assert");
+
+const Numworks = require("../Numworks");
+const Simulator = require("../Simulator");
+
+async function connect(options) {
+    var simulator = new Simulator(options);
+    var calculator = new Numworks({ usb: simulator.usb, logger: null });
+
+    await calculator.detect();
+
+    return { simulator, calculator };
+}
+
+describe("Simulator", function() {
+    describe("memoryMap", function() {
+        it("simulates a N0100 with an external flash", async function() {
+            var { simulator, calculator } = await connect({
+                model: "0100",
+                memoryMap: "@Flash/0x08000000/04*016Kg,01*064Kg,07*128Kg/0x90000000/08*004Kg,01*032Kg,127*064Kg"
+            });
+
+            assert.strictEqual(calculator.getModel(false), "0100-8M");
+            assert.strictEqual((await calculator.getPlatformInfo()).mode, "legacy");
+
+            await calculator.flashExternal(new Uint8Array([1, 2, 3, 4]).buffer);
+            assert.deepStrictEqual(simulator.read(0x90000000, 4), new Uint8Array([1, 2, 3, 4]));
+        });
+
+        it("simulates a N0110 with a 16M external flash", async function() {
+            var { simulator, calculator } = await connect({
+                memoryMap: "@Flash/0x08000000/04*016Kg/0x90000000/08*004Kg,01*032Kg,255*064Kg"
+            });
+
+            assert.strictEqual(calculator.getModel(false), "0110-16M");
+            assert.ok(calculator.device.getSegment(0x90FF0000));
+            assert.deepStrictEqual(simulator.read(0x90FFFFFC, 4), new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF]));
+        });
+
+        it("refuses to write the sectors the descriptor protects", async function() {
+            // The first sectors of the external flash, as a bootloader could hide them
+            var { simulator, calculator } = await connect({
+                memoryMap: "@Flash/0x08000000/04*016Kg/0x90000000/08*004Ka,01*032Kg,63*064Kg,64*064Kg"
+            });
+
+            await assert.rejects(calculator.flashExternal(new Uint8Array(16).buffer), Numworks.Errors.TransferError);
+            assert.notDeepStrictEqual(simulator.read(0x90000000, 16), new Uint8Array(16));
+        });
+    });
+});
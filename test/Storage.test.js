@@ -0,0 +1,416 @@
+const assert = require("assert");
+
+const Errors = require("../Errors");
+const Storage = require("../Storage");
+
+/**
+ * Build a storage holding raw records, as it's stored on the calculator.
+ */
+function buildStorage(records) {
+    var parts = [new Uint8Array([0xBA, 0xDD, 0x0B, 0xEE])];
+
+    for (let record of records) {
+        let name = new TextEncoder().encode(record.name + "\0");
+        let size = new Uint8Array(2);
+
+        new DataView(size.buffer).setUint16(0, 2 + name.length + record.data.length, true);
+        parts.push(size, name, record.data);
+    }
+
+    parts.push(new Uint8Array([0, 0]));
+
+    return new Blob(parts);
+}
+
+async function parse(blob) {
+    var storage = new Storage({ logger: null });
+
+    await storage.parseStorage(blob);
+
+    return storage;
+}
+
+async function bytes(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+describe("Storage", function() {
+    describe("records", function() {
+        it("adds, renames and deletes records", function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addScript("main", "print(1)\n");
+            storage.addRecord({ name: "a", type: "exp", expression: new Uint8Array([1]) });
+
+            assert.strictEqual(storage.renameRecord("main", "py", "app").name, "app");
+            assert.strictEqual(storage.getRecord("main", "py"), null);
+            assert.strictEqual(storage.getRecord("app", "py").code, "print(1)\n");
+            assert.deepStrictEqual(storage.getRecords("exp").map(record => record.name), ["a"]);
+
+            assert.strictEqual(storage.deleteRecord("a", "exp"), true);
+            assert.strictEqual(storage.deleteRecord("a", "exp"), false);
+            assert.deepStrictEqual(storage.getRecords().map(record => record.name), ["app"]);
+        });
+
+        it("allows the same name with another type", function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addRecord({ name: "x", type: "exp", expression: new Uint8Array([1]) });
+            storage.addRecord({ name: "x", type: "func", expression: new Uint8Array([2]) });
+
+            assert.strictEqual(storage.getRecords().length, 2);
+        });
+
+        it("refuses duplicates", function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addScript("main", "");
+            storage.addScript("lib", "");
+
+            assert.throws(() => storage.addScript("main", ""), Errors.DuplicateRecordError);
+            assert.throws(() => storage.renameRecord("lib", "py", "main"), Errors.DuplicateRecordError);
+
+            // Renaming a record to its own name is fine
+            storage.renameRecord("lib", "py", "lib");
+        });
+
+        it("refuses names and types Epsilon doesn't allow", function() {
+            var storage = new Storage({ logger: null });
+
+            for (let name of ["", "Main", "2d", "my-script", "a.b", "a\0"]) {
+                assert.throws(() => storage.addScript(name, ""), Errors.InvalidRecordError, name);
+            }
+
+            for (let type of ["", "p.y", "p\0"]) {
+                assert.throws(() => storage.addRecord({ name: "a", type: type }), Errors.InvalidRecordError, type);
+            }
+
+            // Only scripts have to be valid python module names
+            storage.addRecord({ name: "Ab-1", type: "exp", expression: new Uint8Array([1]) });
+
+            storage.addScript("main", "");
+            assert.throws(() => storage.renameRecord("main", "py", "Main"), Errors.InvalidRecordError);
+            assert.strictEqual(storage.getRecord("main", "py").name, "main");
+        });
+
+        it("throws RecordNotFoundError when renaming a missing record", function() {
+            var storage = new Storage({ logger: null });
+
+            assert.throws(() => storage.renameRecord("main", "py", "app"), Errors.RecordNotFoundError);
+        });
+
+        it("replaces the record with the same name and type", function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addScript("main", "print(1)\n");
+            storage.replaceRecord({ name: "main", type: "py", autoImport: false, code: "print(2)\n" });
+            storage.replaceRecord({ name: "lib", type: "py", autoImport: false, code: "" });
+
+            assert.deepStrictEqual(storage.getRecords().map(record => record.name), ["main", "lib"]);
+            assert.strictEqual(storage.getRecord("main", "py").code, "print(2)\n");
+        });
+    });
+
+    describe("getUsage", function() {
+        it("counts the size of each record once encoded", async function() {
+            var storage = new Storage({ logger: null });
+
+            // Size, "a.py\0", autoImport, code, terminator
+            storage.addScript("a", "x = 1\n");
+            storage.addScript("b", "y\n");
+
+            var usage = await storage.getUsage(0x100);
+
+            assert.deepStrictEqual(usage, {
+                size: 0x100,
+                used: 6 + 15 + 11,
+                free: 0x100 - 32,
+                fits: true,
+                records: [
+                    { name: "a", type: "py", size: 15 },
+                    { name: "b", type: "py", size: 11 }
+                ],
+                overflow: []
+            });
+
+            assert.strictEqual((await storage.encodeStorage(0x100)).size, usage.used);
+        });
+
+        it("reports the records which don't fit, and the ones after them", async function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addScript("a", "x = 1\n");
+            storage.addScript("big", "#".repeat(40));
+            storage.addScript("b", "y\n");
+
+            var usage = await storage.getUsage(40);
+
+            assert.strictEqual(usage.fits, false);
+            assert.strictEqual(usage.free, 40 - usage.used);
+            assert.ok(usage.free < 0);
+            assert.deepStrictEqual(usage.overflow.map(record => record.name), ["big", "b"]);
+            assert.deepStrictEqual(usage.records.map(record => record.name), ["a", "big", "b"]);
+        });
+    });
+
+    describe("UTF-8", function() {
+        var corpus = {
+            accents: "# Élève : déjà vu, où ça ? À l'œuvre, garçon !\nprint(\"Ça marche très bien\")\n",
+            symbols: "x = 2 × π ≈ 6.28 # ≤ ≥ ≠ √ ∞ €\n",
+            cjk: "# 你好，世界 こんにちは 안녕하세요\nprint('漢字')\n",
+            emoji: "print('🐍 Python 🚀') # 👍🏽 👨‍👩‍👧\n",
+            mixed: "s = 'naïve café — “quotes” 𝔘𝔫𝔦𝔠𝔬𝔡𝔢'\nprint(len(s))\n"
+        };
+
+        it("round-trips non-ASCII scripts exactly", async function() {
+            var storage = new Storage({ logger: null });
+
+            for (let name in corpus) {
+                storage.addScript(name, corpus[name]);
+            }
+
+            var parsed = await parse(await storage.encodeStorage(0x1000));
+
+            assert.deepStrictEqual(parsed.records.map(record => record.name), Object.keys(corpus));
+
+            for (let record of parsed.records) {
+                assert.strictEqual(record.code, corpus[record.name]);
+            }
+        });
+
+        it("round-trips non-ASCII record names", async function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addRecord({ name: "é→π", type: "exp", expression: new Uint8Array([1, 2, 3]) });
+
+            var parsed = await parse(await storage.encodeStorage(0x1000));
+
+            assert.strictEqual(parsed.records[0].name, "é→π");
+            assert.deepStrictEqual(parsed.records[0].expression, new Uint8Array([1, 2, 3]));
+        });
+    });
+
+    describe("grapher functions and sequences", function() {
+        // Color, active (5), plot type, tMin, tMax, displayDerivative (2), then the expression
+        var func = new Uint8Array([
+            0x00, 0xF8, 0x05, 0x01, 0x00, 0x00, 0x80, 0xBF, 0x00, 0x00, 0x80, 0x3F, 0x02, 0x11, 0x22, 0x33
+        ]);
+        // Color, active (3), type, initial rank, sizes (1 and 0), then the definition and a condition
+        var seq = new Uint8Array([0xE0, 0x07, 0x03, 0x01, 0x02, 0x01, 0x00, 0x00, 0x00, 0xAA, 0xBB, 0xCC]);
+
+        it("parses their fields", async function() {
+            var storage = await parse(buildStorage([{ name: "f.func", data: func }, { name: "u.seq", data: seq }]));
+            var f = storage.getRecord("f", "func");
+            var u = storage.getRecord("u", "seq");
+
+            assert.strictEqual(f.color, "#ff0000");
+            assert.strictEqual(f.active, true);
+            assert.strictEqual(f.plotType, "polar");
+            assert.strictEqual(f.tMin, -1);
+            assert.strictEqual(f.tMax, 1);
+            assert.strictEqual(f.displayDerivative, true);
+            assert.deepStrictEqual(f.expression, new Uint8Array([0x11, 0x22, 0x33]));
+
+            assert.strictEqual(u.sequenceType, "singleRecurrence");
+            assert.strictEqual(u.initialRank, 2);
+            assert.deepStrictEqual(u.definition, new Uint8Array([0xAA, 0xBB]));
+            assert.deepStrictEqual(u.firstInitialCondition, new Uint8Array([0xCC]));
+        });
+
+        it("writes them back byte for byte", async function() {
+            var blob = buildStorage([{ name: "f.func", data: func }, { name: "u.seq", data: seq }]);
+            var storage = await parse(blob);
+
+            assert.deepStrictEqual(await bytes(await storage.encodeStorage(0x1000)), await bytes(blob));
+        });
+
+        it("only rewrites the fields which changed", async function() {
+            var storage = await parse(buildStorage([{ name: "f.func", data: func }]));
+            var f = storage.getRecord("f", "func");
+
+            f.active = false;
+            f.tMax = 2;
+
+            var encoded = await bytes(await storage.encodeStorage(0x1000));
+            var data = encoded.subarray(4 + 2 + "f.func\0".length, encoded.length - 2);
+
+            assert.strictEqual(data[0x02], 0x00);
+            assert.strictEqual(new DataView(data.buffer, data.byteOffset).getFloat32(0x08, true), 2);
+            assert.strictEqual(data[0x0C], 0x02);
+        });
+
+        it("encodes records created without a header", async function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addRecord({
+                name: "g",
+                type: "func",
+                color: "#ff0000",
+                active: true,
+                plotType: "cartesian",
+                tMin: -1,
+                tMax: 1,
+                displayDerivative: false,
+                expression: new Uint8Array([0x11])
+            });
+
+            var parsed = await parse(await storage.encodeStorage(0x1000));
+            var g = parsed.getRecord("g", "func");
+
+            assert.strictEqual(g.active, true);
+            assert.strictEqual(g.plotType, "cartesian");
+            assert.deepStrictEqual(g.header, new Uint8Array([0x00, 0xF8, 0x01, 0x00, 0x00, 0x00, 0x80, 0xBF, 0x00, 0x00, 0x80, 0x3F, 0x00]));
+        });
+
+        it("refuses unknown plot and sequence types", async function() {
+            var parsed = await parse(buildStorage([{ name: "f.func", data: func }, { name: "u.seq", data: seq }]));
+            var f = parsed.getRecord("f", "func");
+            var u = parsed.getRecord("u", "seq");
+
+            f.plotType = "cartesain";
+            u.sequenceType = "recurrence";
+
+            for (let record of [f, u]) {
+                let storage = new Storage({ logger: null });
+
+                storage.addRecord(record);
+
+                await assert.rejects(storage.encodeStorage(0x1000), Errors.InvalidRecordError);
+            }
+        });
+    });
+
+    describe("diff and merge", function() {
+        async function storages() {
+            var from = new Storage({ logger: null });
+            var to = new Storage({ logger: null });
+
+            from.addScript("same", "print(1)\n");
+            from.addScript("changed", "print(2)\n");
+            from.addScript("gone", "print(3)\n");
+
+            // The same script, as the parser leaves records of a storage it can't parse
+            var raw = new Storage({ logger: null });
+            raw.addScript("raw", "print(4)\n");
+            var data = (await bytes(await raw.encodeStorage(0x100))).subarray(4 + 2 + "raw.py\0".length, -2);
+            from.addRecord({ name: "raw", type: "py", data: new Blob([data]) });
+
+            to.addScript("same", "print(1)\n");
+            to.addScript("changed", "print(2, 3)\n");
+            to.addScript("raw", "print(4)\n");
+            to.addScript("new", "print(5)\n", false);
+
+            return { from, to };
+        }
+
+        it("sorts the records by change", async function() {
+            var { from, to } = await storages();
+            var diff = await Storage.diff(from, to);
+            var names = changes => changes.map(change => change.name);
+
+            assert.deepStrictEqual(names(diff.added), ["new"]);
+            assert.deepStrictEqual(names(diff.removed), ["gone"]);
+            assert.deepStrictEqual(names(diff.modified), ["changed"]);
+            assert.deepStrictEqual(names(diff.unchanged), ["same", "raw"]);
+
+            assert.deepStrictEqual(diff.added[0], { kind: "added", name: "new", type: "py", from: null, to: to.getRecord("new", "py") });
+            assert.deepStrictEqual(diff.removed[0], { kind: "removed", name: "gone", type: "py", from: from.getRecord("gone", "py"), to: null });
+            assert.strictEqual(diff.modified[0].from, from.getRecord("changed", "py"));
+            assert.strictEqual(diff.modified[0].to, to.getRecord("changed", "py"));
+        });
+
+        it("merges the whole diff", async function() {
+            var { from, to } = await storages();
+
+            from.merge(await Storage.diff(from, to));
+
+            assert.strictEqual((await Storage.diff(from, to)).unchanged.length, 4);
+            assert.deepStrictEqual(from.records.map(record => record.name).sort(), ["changed", "new", "raw", "same"]);
+        });
+
+        it("merges only some of the changes", async function() {
+            var { from, to } = await storages();
+            var diff = await Storage.diff(from, to);
+
+            from.merge(diff.modified.concat(diff.removed));
+
+            assert.strictEqual(from.getRecord("changed", "py").code, "print(2, 3)\n");
+            assert.strictEqual(from.getRecord("gone", "py"), null);
+            assert.strictEqual(from.getRecord("new", "py"), null);
+
+            // Merged records are copies
+            from.getRecord("changed", "py").code = "";
+            assert.strictEqual(to.getRecord("changed", "py").code, "print(2, 3)\n");
+        });
+    });
+
+    describe("images", function() {
+        var MAGIC = [0xBA, 0xDD, 0x0B, 0xEE];
+
+        it("round-trips through exportImage and fromImage", async function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addScript("main", "print('é')\n");
+            storage.addScript("lib", "x = 1\n", false);
+            storage.addRecord({ name: "a", type: "exp", expression: new Uint8Array([1, 2, 3]) });
+
+            var image = await storage.exportImage(0x400);
+            var data = await bytes(image);
+
+            // The storage, then the second magic value
+            assert.strictEqual(data.length, 0x400 + 8);
+            assert.deepStrictEqual(Array.from(data.subarray(0, 4)), MAGIC);
+            assert.deepStrictEqual(Array.from(data.subarray(0x404)), MAGIC);
+
+            var loaded = await Storage.fromImage(image, { logger: null });
+
+            assert.deepStrictEqual(loaded.records, storage.records);
+        });
+
+        it("accepts images without the second magic value", async function() {
+            var loaded = await Storage.fromImage(buildStorage([{ name: "a.exp", data: new Uint8Array([1]) }]), { logger: null });
+
+            assert.deepStrictEqual(loaded.records.map(record => record.name), ["a"]);
+        });
+
+        var invalid = {
+            "a bad magic value": new Blob([new Uint8Array([0x12, 0x34, 0x56, 0x78, 0x00, 0x00])]),
+            "a record size past the end": new Blob([new Uint8Array(MAGIC.concat([0x00, 0x01], Array.from(new TextEncoder().encode("a.py\0")), [0x00, 0x00]))]),
+            "a name without a terminator": new Blob([new Uint8Array(MAGIC.concat([0x06, 0x00], Array.from(new TextEncoder().encode("a.py")), [0x00, 0x00]))]),
+            "a name without an extension": buildStorage([{ name: "abc", data: new Uint8Array([1]) }]),
+            "a name ending with a dot": buildStorage([{ name: "abc.", data: new Uint8Array([1]) }]),
+            "a missing terminator": buildStorage([{ name: "a.exp", data: new Uint8Array([1]) }]).slice(0, -2)
+        };
+
+        for (let name in invalid) {
+            it("refuses an image with " + name, async function() {
+                await assert.rejects(Storage.fromImage(invalid[name], { logger: null }), Errors.InvalidStorageError);
+            });
+        }
+    });
+
+    describe("ZIP archives", function() {
+        it("round-trips every kind of record", async function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addScript("imported", "print(1)\n");
+            storage.addScript("hidden", "print(2)\n", false);
+            storage.addRecord({ name: "a", type: "exp", expression: new Uint8Array([1, 2, 3]) });
+            storage.addRecord({ name: "raw", type: "xyz", data: new Blob([new Uint8Array([4, 5])]) });
+
+            var loaded = await Storage.fromZip(await storage.exportZip(), { logger: null });
+
+            assert.deepStrictEqual(await bytes(await loaded.encodeStorage(0x1000)), await bytes(await storage.encodeStorage(0x1000)));
+        });
+
+        it("keeps the code of scripts added without autoImport", async function() {
+            var storage = new Storage({ logger: null });
+
+            storage.addRecord({ name: "noflag", type: "py", code: "print(1)" });
+
+            var loaded = await Storage.fromZip(await storage.exportZip(), { logger: null });
+
+            assert.deepStrictEqual(loaded.records, [{ name: "noflag", type: "py", autoImport: false, code: "print(1)" }]);
+        });
+    });
+});